@@ -1,6 +1,25 @@
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
+const sharp = require('sharp');
 const User = require('../models/User');
+const Comment = require('../models/Comment');
+const AuthToken = require('../models/AuthToken');
+const WatchHistory = require('../models/WatchHistory');
+const Playlist = require('../models/Playlist');
+const Notification = require('../models/Notification');
+const {
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeAllSessions
+} = require('../services/session');
+const { issueToken, consumeToken } = require('../services/authToken');
+const { sendVerificationEmail, sendPasswordResetEmail } = require('../services/emails');
+const { validatePassword } = require('../services/validation');
+const { getStorage, buildKey } = require('../services/storage');
+const { removeUserLikes } = require('../services/likes');
+const { removeUserReactions } = require('../services/commentReactions');
+const { removeUserFollows } = require('../services/follows');
+const { removeUserReports } = require('../services/commentReports');
 
 exports.register = async (req, res) => {
   try {
@@ -32,23 +51,19 @@ exports.register = async (req, res) => {
       name,
       email,
       password: hashedPassword,
-      role: 'consumer' // Default to consumer
+      role: 'consumer', // Default to consumer
+      emailVerified: false
     });
 
     // Save user
     await newUser.save();
 
-    // Generate token
-    const token = jwt.sign(
-      { 
-        id: newUser._id, 
-        name: newUser.name, 
-        email: newUser.email, 
-        role: newUser.role 
-      }, 
-      process.env.JWT_SECRET, 
-      { expiresIn: '30d' }
-    );
+    // Ask the user to confirm their email address
+    const verificationToken = await issueToken(newUser, 'email-verification');
+    await sendVerificationEmail(newUser, verificationToken);
+
+    // Start a session with a short-lived access token and a refresh token
+    const { token, refreshToken } = await createSession(newUser, req);
 
     // Log successful registration
     console.info('User registered successfully', { 
@@ -64,9 +79,11 @@ exports.register = async (req, res) => {
         id: newUser._id,
         name: newUser.name,
         email: newUser.email,
-        role: newUser.role
+        role: newUser.role,
+        emailVerified: newUser.emailVerified
       },
-      token
+      token,
+      refreshToken
     });
   } catch (error) {
     // Log registration error
@@ -112,17 +129,24 @@ exports.login = async (req, res) => {
       });
     }
 
-    // Generate token
-    const token = jwt.sign(
-      { 
-        id: user._id, 
-        name: user.name, 
-        email: user.email, 
-        role: user.role 
-      }, 
-      process.env.JWT_SECRET, 
-      { expiresIn: '30d' }
-    );
+    const suspension = user.activeSuspension();
+    if (suspension) {
+      return res.status(403).json({ 
+        error: suspension.type === 'banned' ? 'Account banned' : 'Account suspended',
+        details: suspension.reason,
+        until: suspension.until || null
+      });
+    }
+
+    if (user.passwordResetRequired) {
+      return res.status(403).json({ 
+        error: 'Password reset required',
+        details: 'Check your email for a link to choose a new password'
+      });
+    }
+
+    // Start a session with a short-lived access token and a refresh token
+    const { token, refreshToken } = await createSession(user, req);
 
     // Log successful login
     console.info('User logged in successfully', { 
@@ -138,9 +162,11 @@ exports.login = async (req, res) => {
         id: user._id,
         name: user.name,
         email: user.email,
-        role: user.role
+        role: user.role,
+        emailVerified: user.emailVerified !== false
       },
-      token
+      token,
+      refreshToken
     });
   } catch (error) {
     // Log login error
@@ -156,9 +182,12 @@ exports.login = async (req, res) => {
   }
 };
 
+// Fields of the current user's own profile
+const PROFILE_FIELDS = 'name email pendingEmail emailVerified role bio avatarUrl creatorApplication followerCount followingCount';
+
 exports.getCurrentUser = async (req, res) => {
   try {
-    const user = await User.findById(req.user.id).select('-password');
+    const user = await User.findById(req.user.id).select(PROFILE_FIELDS);
     if (!user) return res.status(404).json({ error: 'User not found' });
     
     res.json(user);
@@ -167,3 +196,479 @@ exports.getCurrentUser = async (req, res) => {
     res.status(500).json({ error: 'Failed to retrieve user', details: error.message });
   }
 };
+
+exports.refresh = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({ 
+        error: 'Missing refresh token',
+        details: 'A refresh token is required'
+      });
+    }
+
+    const tokens = await rotateSession(refreshToken);
+    if (!tokens) {
+      return res.status(401).json({ 
+        error: 'Invalid refresh token',
+        details: 'Sign in again to continue'
+      });
+    }
+
+    res.json(tokens);
+  } catch (error) {
+    console.error('Token refresh error', { 
+      error: error.message,
+      stack: error.stack 
+    });
+
+    res.status(500).json({ 
+      error: 'Token refresh failed', 
+      details: error.message 
+    });
+  }
+};
+
+exports.logout = async (req, res) => {
+  try {
+    await revokeSession(req.sessionId, 'Logged out');
+
+    console.info('User logged out', { userId: req.user._id, sessionId: req.sessionId });
+
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Logout error', { 
+      error: error.message,
+      stack: error.stack 
+    });
+
+    res.status(500).json({ 
+      error: 'Logout failed', 
+      details: error.message 
+    });
+  }
+};
+
+exports.logoutAll = async (req, res) => {
+  try {
+    const { modifiedCount } = await revokeAllSessions(req.user._id, 'Logged out of all sessions');
+
+    console.info('User logged out of all sessions', { userId: req.user._id, sessions: modifiedCount });
+
+    res.json({ 
+      message: 'Logged out of all sessions', 
+      sessionsRevoked: modifiedCount 
+    });
+  } catch (error) {
+    console.error('Logout all error', { 
+      error: error.message,
+      stack: error.stack 
+    });
+
+    res.status(500).json({ 
+      error: 'Logout failed', 
+      details: error.message 
+    });
+  }
+};
+
+exports.verifyEmail = async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({ 
+        error: 'Missing token',
+        details: 'A verification token is required'
+      });
+    }
+
+    const authToken = await consumeToken(token, 'email-verification');
+    if (!authToken) {
+      return res.status(400).json({ 
+        error: 'Invalid token',
+        details: 'The verification link is invalid or has expired'
+      });
+    }
+
+    // The token only verifies the address it was sent to
+    let user = await User.findOneAndUpdate(
+      { _id: authToken.user, email: authToken.email },
+      { emailVerified: true, emailVerifiedAt: new Date() },
+      { new: true }
+    );
+
+    // Or confirms a requested change of address
+    if (!user) {
+      user = await User.findOneAndUpdate(
+        { _id: authToken.user, pendingEmail: authToken.email },
+        { 
+          email: authToken.email, 
+          pendingEmail: null, 
+          emailVerified: true, 
+          emailVerifiedAt: new Date() 
+        },
+        { new: true }
+      );
+    }
+
+    if (!user) {
+      return res.status(400).json({ 
+        error: 'Invalid token',
+        details: 'The verification link no longer matches your account'
+      });
+    }
+
+    console.info('Email verified', { userId: user._id, email: user.email });
+
+    res.json({ message: 'Email verified successfully' });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ 
+        error: 'Email already in use',
+        details: 'Another account has registered this email address'
+      });
+    }
+
+    console.error('Email verification error', { 
+      error: error.message,
+      stack: error.stack 
+    });
+
+    res.status(500).json({ 
+      error: 'Email verification failed', 
+      details: error.message 
+    });
+  }
+};
+
+exports.resendVerification = async (req, res) => {
+  try {
+    // A pending change of address takes priority over the current one
+    const email = req.user.pendingEmail || req.user.email;
+
+    if (!req.user.pendingEmail && req.user.emailVerified !== false) {
+      return res.status(400).json({ error: 'Email is already verified' });
+    }
+
+    const verificationToken = await issueToken(req.user, 'email-verification', email);
+    await sendVerificationEmail(req.user, verificationToken, email);
+
+    res.json({ message: 'Verification email sent' });
+  } catch (error) {
+    console.error('Resend verification error', { 
+      error: error.message,
+      stack: error.stack 
+    });
+
+    res.status(500).json({ 
+      error: 'Failed to send verification email', 
+      details: error.message 
+    });
+  }
+};
+
+exports.forgotPassword = async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({ 
+        error: 'Missing email',
+        details: 'Email is required'
+      });
+    }
+
+    // Same answer whether or not the account exists, so emails cannot be probed
+    const user = await User.findOne({ email });
+    if (user) {
+      const resetToken = await issueToken(user, 'password-reset');
+      await sendPasswordResetEmail(user, resetToken);
+      console.info('Password reset requested', { userId: user._id });
+    }
+
+    res.json({ message: 'If an account exists for this email, a reset link has been sent' });
+  } catch (error) {
+    console.error('Forgot password error', { 
+      error: error.message,
+      stack: error.stack 
+    });
+
+    res.status(500).json({ 
+      error: 'Failed to start password reset', 
+      details: error.message 
+    });
+  }
+};
+
+exports.resetPassword = async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+      return res.status(400).json({ 
+        error: 'Missing required fields',
+        details: 'Token and password are required'
+      });
+    }
+
+    try {
+      validatePassword(password);
+    } catch (validationError) {
+      return res.status(400).json({ error: validationError.message });
+    }
+
+    const authToken = await consumeToken(token, 'password-reset');
+    if (!authToken) {
+      return res.status(400).json({ 
+        error: 'Invalid token',
+        details: 'The reset link is invalid or has expired'
+      });
+    }
+
+    const salt = await bcrypt.genSalt(10);
+    const hashedPassword = await bcrypt.hash(password, salt);
+
+    const user = await User.findByIdAndUpdate(authToken.user, { 
+      password: hashedPassword, 
+      passwordResetRequired: false 
+    });
+
+    if (!user) {
+      return res.status(400).json({ 
+        error: 'Invalid token',
+        details: 'The account for this reset link no longer exists'
+      });
+    }
+
+    // Receiving the reset link also proves the user owns the address
+    await User.updateOne(
+      { _id: user._id, email: authToken.email, emailVerified: false },
+      { emailVerified: true, emailVerifiedAt: new Date() }
+    );
+
+    // Sign out everywhere, in case the old password was compromised
+    await revokeAllSessions(user._id, 'Password reset');
+
+    console.info('Password reset', { userId: user._id });
+
+    res.json({ message: 'Password reset successfully. Please sign in with your new password.' });
+  } catch (error) {
+    console.error('Reset password error', { 
+      error: error.message,
+      stack: error.stack 
+    });
+
+    res.status(500).json({ 
+      error: 'Password reset failed', 
+      details: error.message 
+    });
+  }
+};
+
+exports.updateCurrentUser = async (req, res) => {
+  try {
+    const { name, bio, email } = req.body;
+    const updates = {};
+
+    if (name !== undefined) {
+      if (typeof name !== 'string' || !name.trim()) {
+        return res.status(400).json({ error: 'Name cannot be empty' });
+      }
+      updates.name = name.trim();
+    }
+
+    if (bio !== undefined) {
+      if (typeof bio !== 'string' || bio.length > 300) {
+        return res.status(400).json({ error: 'Bio cannot exceed 300 characters' });
+      }
+      updates.bio = bio.trim();
+    }
+
+    // A new email only replaces the current one after it is verified
+    let newEmail = null;
+    if (email !== undefined && email !== req.user.email) {
+      if (typeof email !== 'string' || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+        return res.status(400).json({ error: 'Invalid email address' });
+      }
+      if (await User.exists({ email })) {
+        return res.status(400).json({ 
+          error: 'Email already in use',
+          details: 'An account with this email already exists'
+        });
+      }
+      newEmail = email;
+      updates.pendingEmail = email;
+    }
+
+    // Square avatar, resized and re-encoded so uploads cannot carry anything but an image
+    let oldAvatarKey = null;
+    if (req.file) {
+      let avatarBuffer;
+      try {
+        avatarBuffer = await sharp(req.file.buffer)
+          .rotate()
+          .resize(256, 256, { fit: sharp.fit.cover, position: sharp.strategy.attention })
+          .webp({ quality: 85 })
+          .toBuffer();
+      } catch (imageError) {
+        // The declared type is only a header; the bytes may not be an image at all
+        return res.status(400).json({ error: 'Avatar must be a valid image', details: imageError.message });
+      }
+
+      const storedAvatar = await getStorage().put(
+        buildKey('avatars', `${req.user._id}.webp`),
+        avatarBuffer,
+        { contentType: 'image/webp' }
+      );
+
+      oldAvatarKey = req.user.avatarKey;
+      updates.avatarUrl = storedAvatar.url;
+      updates.avatarKey = storedAvatar.key;
+    }
+
+    const user = await User.findByIdAndUpdate(req.user._id, updates, { 
+      new: true, 
+      runValidators: true 
+    }).select(PROFILE_FIELDS);
+
+    if (oldAvatarKey) {
+      await getStorage().delete(oldAvatarKey).catch((storageError) => {
+        console.error('Failed to delete old avatar', { userId: user._id, error: storageError.message });
+      });
+    }
+
+    if (newEmail) {
+      const verificationToken = await issueToken(user, 'email-verification', newEmail);
+      await sendVerificationEmail(user, verificationToken, newEmail);
+    }
+
+    res.json({ 
+      message: newEmail 
+        ? 'Profile updated. Confirm your new email address to finish changing it.' 
+        : 'Profile updated', 
+      user 
+    });
+  } catch (error) {
+    console.error('Update current user error', { 
+      error: error.message,
+      stack: error.stack 
+    });
+
+    res.status(500).json({ 
+      error: 'Failed to update profile', 
+      details: error.message 
+    });
+  }
+};
+
+exports.changePassword = async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({ 
+        error: 'Missing required fields',
+        details: 'Current password and new password are required'
+      });
+    }
+
+    try {
+      validatePassword(newPassword);
+    } catch (validationError) {
+      return res.status(400).json({ error: validationError.message });
+    }
+
+    const user = await User.findById(req.user._id);
+    const isMatch = await bcrypt.compare(currentPassword, user.password);
+    if (!isMatch) {
+      return res.status(401).json({ 
+        error: 'Authentication failed',
+        details: 'Current password is incorrect'
+      });
+    }
+
+    const salt = await bcrypt.genSalt(10);
+    user.password = await bcrypt.hash(newPassword, salt);
+    await user.save();
+
+    // Keep this device signed in and sign out every other session
+    await revokeAllSessions(user._id, 'Password changed', { except: req.sessionId });
+
+    console.info('Password changed', { userId: user._id });
+
+    res.json({ message: 'Password changed successfully' });
+  } catch (error) {
+    console.error('Change password error', { 
+      error: error.message,
+      stack: error.stack 
+    });
+
+    res.status(500).json({ 
+      error: 'Failed to change password', 
+      details: error.message 
+    });
+  }
+};
+
+exports.deleteAccount = async (req, res) => {
+  try {
+    const { password } = req.body;
+
+    if (!password) {
+      return res.status(400).json({ 
+        error: 'Missing password',
+        details: 'Confirm your password to delete your account'
+      });
+    }
+
+    const user = await User.findById(req.user._id);
+    const isMatch = await bcrypt.compare(password, user.password);
+    if (!isMatch) {
+      return res.status(401).json({ 
+        error: 'Authentication failed',
+        details: 'Password is incorrect'
+      });
+    }
+
+    if (user.role === 'admin' && (await User.countDocuments({ role: 'admin' })) === 1) {
+      return res.status(400).json({ error: 'The last admin account cannot be deleted' });
+    }
+
+    // Remove the user's comments and likes before the account itself; comments
+    // become placeholders so replies from other users keep their thread
+    await Comment.softDelete({ user: user._id }, user._id);
+    await removeUserReports(user._id);
+    await removeUserLikes(user._id);
+    await removeUserReactions(user._id);
+    await removeUserFollows(user._id);
+    await WatchHistory.deleteMany({ user: user._id });
+    await Playlist.deleteMany({ owner: user._id });
+    await Notification.deleteMany({ user: user._id });
+
+    await revokeAllSessions(user._id, 'Account deleted');
+    await AuthToken.deleteMany({ user: user._id });
+    await User.deleteOne({ _id: user._id });
+
+    if (user.avatarKey) {
+      await getStorage().delete(user.avatarKey).catch((storageError) => {
+        console.error('Failed to delete avatar', { userId: user._id, error: storageError.message });
+      });
+    }
+
+    console.info('Account deleted', { userId: user._id });
+
+    res.json({ message: 'Account deleted successfully' });
+  } catch (error) {
+    console.error('Delete account error', { 
+      error: error.message,
+      stack: error.stack 
+    });
+
+    res.status(500).json({ 
+      error: 'Failed to delete account', 
+      details: error.message 
+    });
+  }
+};
@@ -1,10 +1,79 @@
+const mongoose = require('mongoose');
 const Comment = require('../models/Comment');
 const Video = require('../models/Video');
+const CommentReport = require('../models/CommentReport');
+const { REACTION_TYPES, setReaction, removeReaction } = require('../services/commentReactions');
+const { findBlockedTerm } = require('../services/commentFilter');
+const { recordActivity } = require('../services/trending');
+const { notify } = require('../services/notifications');
+const { validateOptionalText } = require('../services/validation');
 
-// Add a comment
+const MAX_COMMENT_LENGTH = 2000;
+const DEFAULT_REPLY_PREVIEW = 3;
+const MAX_REPORT_DETAILS_LENGTH = 500;
+const REPORT_THRESHOLD = parseInt(process.env.COMMENT_REPORT_THRESHOLD) || 3;
+const REPORT_REASONS = CommentReport.schema.path('reason').enumValues;
+
+// Pinned comments come first whatever the order
+const SORT_ORDERS = {
+  newest: { createdAt: -1 },
+  oldest: { createdAt: 1 },
+  top: { engagement: -1, createdAt: -1 }
+};
+
+const validateText = (text) => {
+  const trimmed = typeof text === 'string' ? text.trim() : '';
+  if (!trimmed) {
+    throw new Error('Comment text is required');
+  }
+  if (trimmed.length > MAX_COMMENT_LENGTH) {
+    throw new Error(`Comment cannot exceed ${MAX_COMMENT_LENGTH} characters`);
+  }
+  if (findBlockedTerm(trimmed)) {
+    throw new Error('Comment contains blocked language');
+  }
+  return trimmed;
+};
+
+// Shape a comment for the API; deleted comments keep their place but lose their author
+const formatComment = (comment) => ({
+  _id: comment._id,
+  video: comment.video,
+  parent: comment.parent,
+  text: comment.text,
+  user: comment.deletedAt ? null : comment.user,
+  replyCount: comment.replyCount || 0,
+  reactions: comment.reactions || {},
+  reactionCount: comment.reactionCount || 0,
+  edited: Boolean(comment.editedAt),
+  editedAt: comment.editedAt || null,
+  deleted: Boolean(comment.deletedAt),
+  createdAt: comment.createdAt
+});
+
+// Visible replies, matching what the parent's replyCount counts
+const findReplies = (parentId, { skip = 0, limit }) => Comment.find({ parent: parentId, deletedAt: null, hiddenAt: null })
+  .populate('user', 'name')
+  .sort({ createdAt: 1 })
+  .skip(skip)
+  .limit(limit)
+  .lean();
+
+// Add a comment or a reply
 exports.addComment = async (req, res) => {
   try {
-    const { videoId, text } = req.body;
+    const { videoId, parentId } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(videoId)) {
+      return res.status(400).json({ error: 'Invalid video ID' });
+    }
+
+    let text;
+    try {
+      text = validateText(req.body.text);
+    } catch (validationError) {
+      return res.status(400).json({ error: validationError.message });
+    }
 
     // Validate video exists
     const video = await Video.findById(videoId);
@@ -12,21 +81,55 @@ exports.addComment = async (req, res) => {
       return res.status(404).json({ error: 'Video not found' });
     }
 
+    let parent = null;
+    if (parentId) {
+      if (!mongoose.Types.ObjectId.isValid(parentId)) {
+        return res.status(400).json({ error: 'Invalid parent comment ID' });
+      }
+
+      parent = await Comment.findOne({ _id: parentId, video: videoId });
+      if (!parent) {
+        return res.status(404).json({ error: 'Parent comment not found on this video' });
+      }
+      if (parent.deletedAt) {
+        return res.status(400).json({ error: 'Cannot reply to a deleted comment' });
+      }
+    }
+
+    // Replies to a reply join the top-level comment's thread
+    const threadId = parent ? (parent.parent || parent._id) : null;
+
     const comment = new Comment({
       video: videoId,
       user: req.user._id,
+      parent: threadId,
       text
     });
 
     await comment.save();
 
-    // Optionally, you can update video's comment count if needed
-    // await Video.findByIdAndUpdate(videoId, { $inc: { commentCount: 1 } });
+    if (threadId) {
+      await Comment.updateOne({ _id: threadId }, { $inc: { replyCount: 1, engagement: 2 } });
+    }
+
+    await Video.updateOne({ _id: videoId }, { $inc: { comments: 1 } });
+    await recordActivity(videoId, { comments: 1 });
+
+    if (parent) {
+      await notify(parent.user, {
+        type: 'comment-reply',
+        actor: req.user._id,
+        video: video._id,
+        comment: comment._id,
+        message: `${req.user.name} replied to your comment on "${video.title}"`
+      });
+    }
 
     res.status(201).json({ 
-      message: 'Comment added successfully', 
+      message: threadId ? 'Reply added successfully' : 'Comment added successfully',
       comment: {
         id: comment._id,
+        parent: comment.parent,
         text: comment.text,
         createdAt: comment.createdAt
       }
@@ -40,28 +143,73 @@ exports.addComment = async (req, res) => {
   }
 };
 
-// Get comments for a video
+// Get top-level comments for a video, each with its first few replies.
+// `sort` is newest (default), oldest or top; the pinned comment leads the first page.
 exports.getComments = async (req, res) => {
   try {
     const { videoId } = req.params;
-    const { page = 1, limit = 10 } = req.query;
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const replyLimit = Math.min(parseInt(req.query.replies ?? DEFAULT_REPLY_PREVIEW) || 0, 20);
+    const sort = req.query.sort || 'newest';
+
+    if (!mongoose.Types.ObjectId.isValid(videoId)) {
+      return res.status(400).json({ error: 'Invalid video ID' });
+    }
+
+    if (!SORT_ORDERS[sort]) {
+      return res.status(400).json({ error: `Sort must be one of: ${Object.keys(SORT_ORDERS).join(', ')}` });
+    }
 
     // Validate video exists
-    const video = await Video.findById(videoId);
+    const video = await Video.findById(videoId).select('pinnedComment').lean();
     if (!video) {
       return res.status(404).json({ error: 'Video not found' });
     }
 
-    const comments = await Comment.find({ video: videoId })
+    // Deleted comments only stay visible as placeholders for their replies
+    const query = {
+      video: videoId,
+      parent: null,
+      hiddenAt: null,
+      $or: [{ deletedAt: null }, { replyCount: { $gt: 0 } }]
+    };
+    if (video.pinnedComment) {
+      query._id = { $ne: video.pinnedComment };
+    }
+
+    const comments = await Comment.find(query)
       .populate('user', 'name')
-      .limit(limit * 1)
+      .sort(SORT_ORDERS[sort])
       .skip((page - 1) * limit)
-      .sort({ createdAt: -1 });
+      .limit(limit)
+      .lean();
+
+    const total = await Comment.countDocuments(query);
 
-    const total = await Comment.countDocuments({ video: videoId });
+    if (video.pinnedComment && page === 1) {
+      const pinned = await Comment.findOne({ _id: video.pinnedComment, deletedAt: null, hiddenAt: null })
+        .populate('user', 'name')
+        .lean();
+      if (pinned) comments.unshift(pinned);
+    }
+
+    const threads = await Promise.all(comments.map(async (comment) => {
+      const replies = replyLimit > 0 && comment.replyCount > 0
+        ? await findReplies(comment._id, { limit: replyLimit })
+        : [];
+
+      return {
+        ...formatComment(comment),
+        pinned: Boolean(video.pinnedComment?.equals(comment._id)),
+        replies: replies.map(formatComment),
+        hasMoreReplies: comment.replyCount > replies.length
+      };
+    }));
 
     res.json({
-      comments,
+      comments: threads,
+      sort,
       totalPages: Math.ceil(total / limit),
       currentPage: page
     });
@@ -74,12 +222,108 @@ exports.getComments = async (req, res) => {
   }
 };
 
-// Delete a comment
+// Page through the replies to a comment, oldest first
+exports.getReplies = async (req, res) => {
+  try {
+    const { commentId } = req.params;
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+
+    if (!mongoose.Types.ObjectId.isValid(commentId)) {
+      return res.status(400).json({ error: 'Invalid comment ID' });
+    }
+
+    const comment = await Comment.findOne({ _id: commentId, parent: null }).select('replyCount').lean();
+    if (!comment) {
+      return res.status(404).json({ error: 'Comment not found' });
+    }
+
+    const replies = await findReplies(commentId, { skip: (page - 1) * limit, limit });
+
+    res.json({
+      replies: replies.map(formatComment),
+      totalPages: Math.ceil(comment.replyCount / limit),
+      currentPage: page
+    });
+  } catch (error) {
+    console.error('Get replies error:', error);
+    res.status(500).json({ 
+      error: 'Failed to retrieve replies', 
+      details: error.message 
+    });
+  }
+};
+
+// Edit a comment, keeping the previous text in its history
+exports.editComment = async (req, res) => {
+  try {
+    const { commentId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(commentId)) {
+      return res.status(400).json({ error: 'Invalid comment ID' });
+    }
+
+    let text;
+    try {
+      text = validateText(req.body.text);
+    } catch (validationError) {
+      return res.status(400).json({ error: validationError.message });
+    }
+
+    const existing = await Comment.findOne({ _id: commentId, deletedAt: null });
+    if (!existing) {
+      return res.status(404).json({ error: 'Comment not found' });
+    }
+
+    // Only the author can change what they said
+    if (existing.user.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ error: 'Not authorized to edit this comment' });
+    }
+
+    if (existing.text === text) {
+      return res.json({ message: 'Comment unchanged', comment: formatComment(existing) });
+    }
+
+    // Matching on the text just read keeps concurrent edits from losing history
+    const comment = await Comment.findOneAndUpdate(
+      { _id: commentId, text: existing.text, deletedAt: null },
+      {
+        $set: { text, editedAt: new Date() },
+        $push: { editHistory: { text: existing.text, editedAt: new Date() } }
+      },
+      { new: true }
+    );
+
+    if (!comment) {
+      return res.status(409).json({ error: 'Comment was changed by another request, try again' });
+    }
+
+    res.json({
+      message: 'Comment updated successfully',
+      comment: {
+        ...formatComment(comment),
+        editHistory: comment.editHistory
+      }
+    });
+  } catch (error) {
+    console.error('Edit comment error:', error);
+    res.status(500).json({ 
+      error: 'Failed to edit comment', 
+      details: error.message 
+    });
+  }
+};
+
+// Delete a comment, leaving a placeholder in its thread
 exports.deleteComment = async (req, res) => {
   try {
     const { commentId } = req.params;
 
-    const comment = await Comment.findById(commentId);
+    if (!mongoose.Types.ObjectId.isValid(commentId)) {
+      return res.status(400).json({ error: 'Invalid comment ID' });
+    }
+
+    const comment = await Comment.findOne({ _id: commentId, deletedAt: null });
     if (!comment) {
       return res.status(404).json({ error: 'Comment not found' });
     }
@@ -89,7 +333,10 @@ exports.deleteComment = async (req, res) => {
       return res.status(403).json({ error: 'Not authorized to delete this comment' });
     }
 
-    await comment.remove();
+    const deleted = await Comment.softDelete({ _id: comment._id }, req.user._id);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Comment not found' });
+    }
 
     res.json({ message: 'Comment deleted successfully' });
   } catch (error) {
@@ -100,3 +347,295 @@ exports.deleteComment = async (req, res) => {
     });
   }
 };
+
+// React to a comment, replacing any earlier reaction from the same user
+exports.reactToComment = async (req, res) => {
+  try {
+    const { commentId } = req.params;
+    const { type } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(commentId)) {
+      return res.status(400).json({ error: 'Invalid comment ID' });
+    }
+
+    if (!REACTION_TYPES.includes(type)) {
+      return res.status(400).json({ error: `Reaction must be one of: ${REACTION_TYPES.join(', ')}` });
+    }
+
+    const comment = await Comment.findOne({ _id: commentId, deletedAt: null }).select('video').lean();
+    if (!comment) {
+      return res.status(404).json({ error: 'Comment not found' });
+    }
+
+    const result = await setReaction(req.user._id, comment, type);
+
+    res.json({ message: 'Reaction saved', ...result });
+  } catch (error) {
+    console.error('React to comment error:', error);
+    res.status(500).json({ 
+      error: 'Failed to react to comment', 
+      details: error.message 
+    });
+  }
+};
+
+exports.removeCommentReaction = async (req, res) => {
+  try {
+    const { commentId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(commentId)) {
+      return res.status(400).json({ error: 'Invalid comment ID' });
+    }
+
+    const result = await removeReaction(req.user._id, commentId);
+
+    res.json({ message: 'Reaction removed', ...result });
+  } catch (error) {
+    console.error('Remove comment reaction error:', error);
+    res.status(500).json({ 
+      error: 'Failed to remove reaction', 
+      details: error.message 
+    });
+  }
+};
+
+// Pin or unpin a comment (the video's uploader or an admin)
+const setPinned = (pin) => async (req, res) => {
+  try {
+    const { commentId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(commentId)) {
+      return res.status(400).json({ error: 'Invalid comment ID' });
+    }
+
+    const comment = await Comment.findOne({ _id: commentId, deletedAt: null }).select('video parent').lean();
+    if (!comment) {
+      return res.status(404).json({ error: 'Comment not found' });
+    }
+
+    if (pin && comment.parent) {
+      return res.status(400).json({ error: 'Only top-level comments can be pinned' });
+    }
+
+    const video = await Video.findById(comment.video).select('uploadedBy').lean();
+    if (!video) {
+      return res.status(404).json({ error: 'Video not found' });
+    }
+
+    if (req.user.role !== 'admin' && video.uploadedBy.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ error: 'Only the uploader or an admin can pin comments' });
+    }
+
+    // A video has one pinned comment, so pinning replaces the previous one
+    if (pin) {
+      await Video.updateOne({ _id: video._id }, { pinnedComment: comment._id });
+    } else {
+      await Video.updateOne({ _id: video._id, pinnedComment: comment._id }, { pinnedComment: null });
+    }
+
+    res.json({ message: pin ? 'Comment pinned' : 'Comment unpinned', pinned: pin });
+  } catch (error) {
+    console.error('Pin comment error:', error);
+    res.status(500).json({ 
+      error: `Failed to ${pin ? 'pin' : 'unpin'} comment`, 
+      details: error.message 
+    });
+  }
+};
+
+exports.pinComment = setPinned(true);
+
+exports.unpinComment = setPinned(false);
+
+// Report a comment; enough open reports hide it until an admin reviews it
+exports.reportComment = async (req, res) => {
+  try {
+    const { commentId } = req.params;
+    const { reason } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(commentId)) {
+      return res.status(400).json({ error: 'Invalid comment ID' });
+    }
+
+    let details;
+    try {
+      details = validateOptionalText(req.body.details, 'Details') || null;
+    } catch (validationError) {
+      return res.status(400).json({ error: validationError.message });
+    }
+
+    if (!REPORT_REASONS.includes(reason)) {
+      return res.status(400).json({ error: `Reason must be one of: ${REPORT_REASONS.join(', ')}` });
+    }
+    if (details && details.length > MAX_REPORT_DETAILS_LENGTH) {
+      return res.status(400).json({ error: `Details cannot exceed ${MAX_REPORT_DETAILS_LENGTH} characters` });
+    }
+
+    const comment = await Comment.findOne({ _id: commentId, deletedAt: null }).select('user parent').lean();
+    if (!comment) {
+      return res.status(404).json({ error: 'Comment not found' });
+    }
+
+    if (comment.user.toString() === req.user._id.toString()) {
+      return res.status(400).json({ error: 'You cannot report your own comment' });
+    }
+
+    try {
+      await CommentReport.create({ comment: comment._id, reporter: req.user._id, reason, details });
+    } catch (createError) {
+      if (createError.code === 11000) {
+        return res.status(409).json({ error: 'You have already reported this comment' });
+      }
+      throw createError;
+    }
+
+    await Comment.updateOne({ _id: comment._id }, { $inc: { openReports: 1 } });
+
+    const hidden = await Comment.updateOne(
+      { _id: comment._id, hiddenAt: null, openReports: { $gte: REPORT_THRESHOLD } },
+      { hiddenAt: new Date() }
+    );
+
+    if (hidden.modifiedCount > 0) {
+      if (comment.parent) await Comment.changeReplyCount(comment.parent, -1);
+      console.info('Comment hidden after reports', { commentId: comment._id, threshold: REPORT_THRESHOLD });
+    }
+
+    res.status(201).json({ message: 'Comment reported' });
+  } catch (error) {
+    console.error('Report comment error:', error);
+    res.status(500).json({ 
+      error: 'Failed to report comment', 
+      details: error.message 
+    });
+  }
+};
+
+// Reported comments for admins, hidden ones first, then by number of reports
+exports.getReportedComments = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+
+    const query = { openReports: { $gt: 0 }, deletedAt: null };
+
+    const comments = await Comment.find(query)
+      .populate('user', 'name email')
+      .populate('video', 'title')
+      .sort({ hiddenAt: -1, openReports: -1, createdAt: 1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean();
+
+    const total = await Comment.countDocuments(query);
+
+    const reports = await CommentReport.find({
+      comment: { $in: comments.map(comment => comment._id) },
+      status: 'open'
+    })
+      .populate('reporter', 'name')
+      .sort({ createdAt: 1 })
+      .lean();
+
+    res.json({
+      comments: comments.map(comment => ({
+        _id: comment._id,
+        video: comment.video,
+        parent: comment.parent,
+        text: comment.text,
+        user: comment.user,
+        hidden: Boolean(comment.hiddenAt),
+        hiddenAt: comment.hiddenAt,
+        openReports: comment.openReports,
+        createdAt: comment.createdAt,
+        reports: reports
+          .filter(report => report.comment.equals(comment._id))
+          .map(({ reporter, reason, details, createdAt }) => ({ reporter, reason, details, createdAt }))
+      })),
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalComments: total,
+        limit
+      }
+    });
+  } catch (error) {
+    console.error('Get reported comments error:', error);
+    res.status(500).json({ 
+      error: 'Failed to retrieve reported comments', 
+      details: error.message 
+    });
+  }
+};
+
+// Close a comment's open reports with the admin's decision
+const resolveReports = (commentId, status, adminId) => CommentReport.updateMany(
+  { comment: commentId, status: 'open' },
+  { status, reviewedBy: adminId, reviewedAt: new Date() }
+);
+
+// Dismiss the reports and make the comment visible again
+exports.restoreComment = async (req, res) => {
+  try {
+    const { commentId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(commentId)) {
+      return res.status(400).json({ error: 'Invalid comment ID' });
+    }
+
+    // The comment as it was, to know whether it is coming back from hidden
+    const comment = await Comment.findOneAndUpdate(
+      { _id: commentId, deletedAt: null },
+      { openReports: 0, hiddenAt: null }
+    );
+    if (!comment) {
+      return res.status(404).json({ error: 'Comment not found' });
+    }
+
+    if (comment.hiddenAt && comment.parent) {
+      await Comment.changeReplyCount(comment.parent, 1);
+    }
+
+    await resolveReports(comment._id, 'dismissed', req.user._id);
+
+    console.info('Comment restored', { commentId: comment._id, admin: req.user._id });
+
+    res.json({ message: 'Comment restored', comment: formatComment(comment) });
+  } catch (error) {
+    console.error('Restore comment error:', error);
+    res.status(500).json({ 
+      error: 'Failed to restore comment', 
+      details: error.message 
+    });
+  }
+};
+
+// Uphold the reports and delete the comment
+exports.removeReportedComment = async (req, res) => {
+  try {
+    const { commentId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(commentId)) {
+      return res.status(400).json({ error: 'Invalid comment ID' });
+    }
+
+    const deleted = await Comment.softDelete({ _id: commentId }, req.user._id);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Comment not found' });
+    }
+
+    // Removed comments leave the review queue
+    await Comment.updateOne({ _id: commentId }, { openReports: 0, hiddenAt: null });
+    await resolveReports(commentId, 'upheld', req.user._id);
+
+    console.info('Reported comment removed', { commentId, admin: req.user._id });
+
+    res.json({ message: 'Comment removed' });
+  } catch (error) {
+    console.error('Remove reported comment error:', error);
+    res.status(500).json({ 
+      error: 'Failed to remove comment', 
+      details: error.message 
+    });
+  }
+};
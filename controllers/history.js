@@ -0,0 +1,266 @@
+const mongoose = require('mongoose');
+const Video = require('../models/Video');
+const User = require('../models/User');
+const WatchHistory = require('../models/WatchHistory');
+const logger = require('../config/logger');
+const { withPlaybackUrls } = require('../services/playback');
+
+// Watching this share of a video, or reaching its last seconds, counts as finishing it
+const COMPLETION_RATIO = 0.95;
+const COMPLETION_TAIL_SECONDS = 10;
+
+const HISTORY_VIDEO_FIELDS = { title: 1, thumbnail: 1, hlsPrefix: 1, media: 1, uploadedBy: 1 };
+
+const formatEntry = ({ video, position, duration, completed, watchedAt }) => ({
+  video: {
+    _id: video._id,
+    title: video.title,
+    thumbnail: video.thumbnail,
+    ...withPlaybackUrls({ _id: video._id, hlsPrefix: video.hlsPrefix }),
+    duration: video.media?.duration ?? null,
+    uploadedBy: video.uploadedBy
+  },
+  position,
+  duration,
+  progress: duration ? Math.min(position / duration, 1) : null,
+  completed,
+  resumePosition: WatchHistory.resumePositionOf({ position, completed }),
+  watchedAt
+});
+
+// Page through the user's history, leaving out videos that were deleted or are no longer
+// visible before paging so every page is full and the total matches
+const listHistory = async (req, filter) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 20;
+  const visible = req.user.role === 'admin' ? {} : { status: 'approved' };
+
+  const [result] = await WatchHistory.aggregate([
+    { $match: { user: req.user._id, ...filter } },
+    {
+      $lookup: {
+        from: 'videos',
+        let: { videoId: '$video' },
+        pipeline: [
+          { $match: { $expr: { $eq: ['$_id', '$$videoId'] }, ...visible } },
+          { $project: HISTORY_VIDEO_FIELDS }
+        ],
+        as: 'video'
+      }
+    },
+    { $unwind: '$video' },
+    {
+      $facet: {
+        entries: [
+          { $sort: { watchedAt: -1 } },
+          { $skip: (page - 1) * limit },
+          { $limit: limit },
+          {
+            $lookup: {
+              from: 'users',
+              localField: 'video.uploadedBy',
+              foreignField: '_id',
+              as: 'uploader'
+            }
+          },
+          {
+            $addFields: {
+              'video.uploadedBy': {
+                _id: '$video.uploadedBy',
+                name: { $arrayElemAt: ['$uploader.name', 0] }
+              }
+            }
+          }
+        ],
+        total: [{ $count: 'count' }]
+      }
+    }
+  ]);
+
+  const total = result.total[0]?.count || 0;
+
+  return {
+    history: result.entries.map(formatEntry),
+    paused: Boolean(req.user.historyPaused),
+    totalPages: Math.ceil(total / limit),
+    currentPage: page
+  };
+};
+
+// Record how far the user has got; clients call this periodically while playing
+exports.updateProgress = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        error: 'Invalid video ID',
+        details: `Received ID: ${req.params.id}`
+      });
+    }
+
+    const position = Number(req.body.position);
+    if (!Number.isFinite(position) || position < 0) {
+      return res.status(400).json({ error: 'Position must be a non-negative number of seconds' });
+    }
+
+    const reportedDuration = req.body.duration === undefined ? null : Number(req.body.duration);
+    if (reportedDuration !== null && (!Number.isFinite(reportedDuration) || reportedDuration <= 0)) {
+      return res.status(400).json({ error: 'Duration must be a positive number of seconds' });
+    }
+
+    const video = await Video.findById(req.params.id).select('status uploadedBy media').lean();
+
+    // Only approved videos are visible, except to admins and the uploader
+    const visible = video && (
+      video.status === 'approved' ||
+      req.user.role === 'admin' ||
+      video.uploadedBy.toString() === req.user._id.toString()
+    );
+    if (!visible) {
+      return res.status(404).json({ error: 'Video not found' });
+    }
+
+    if (req.user.historyPaused) {
+      return res.json({ message: 'Watch history is paused', recorded: false });
+    }
+
+    // Prefer the probed duration over what the client reports
+    const duration = video.media?.duration || reportedDuration;
+    const clamped = duration ? Math.min(position, duration) : position;
+    const completed = Boolean(duration) && (
+      clamped >= duration * COMPLETION_RATIO || duration - clamped <= COMPLETION_TAIL_SECONDS
+    );
+
+    const entry = await WatchHistory.findOneAndUpdate(
+      { user: req.user._id, video: video._id },
+      { position: clamped, duration, completed, watchedAt: new Date() },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+
+    res.json({
+      message: 'Progress saved',
+      recorded: true,
+      position: entry.position,
+      duration: entry.duration,
+      completed: entry.completed,
+      resumePosition: WatchHistory.resumePositionOf(entry)
+    });
+  } catch (error) {
+    logger.error('Update watch progress error', {
+      error: error.message,
+      stack: error.stack
+    });
+
+    res.status(500).json({
+      error: 'Failed to save watch progress',
+      details: error.message
+    });
+  }
+};
+
+exports.getHistory = async (req, res) => {
+  try {
+    res.json(await listHistory(req, {}));
+  } catch (error) {
+    logger.error('Get watch history error', {
+      error: error.message,
+      stack: error.stack
+    });
+
+    res.status(500).json({
+      error: 'Failed to retrieve watch history',
+      details: error.message
+    });
+  }
+};
+
+// Videos started but not finished, most recent first
+exports.getContinueWatching = async (req, res) => {
+  try {
+    res.json(await listHistory(req, WatchHistory.resumableFilter()));
+  } catch (error) {
+    logger.error('Get continue watching error', {
+      error: error.message,
+      stack: error.stack
+    });
+
+    res.status(500).json({
+      error: 'Failed to retrieve continue watching',
+      details: error.message
+    });
+  }
+};
+
+exports.removeHistoryItem = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.videoId)) {
+      return res.status(400).json({ error: 'Invalid video ID' });
+    }
+
+    const { deletedCount } = await WatchHistory.deleteOne({
+      user: req.user._id,
+      video: req.params.videoId
+    });
+
+    if (!deletedCount) {
+      return res.status(404).json({ error: 'Video not in watch history' });
+    }
+
+    res.json({ message: 'Removed from watch history' });
+  } catch (error) {
+    logger.error('Remove watch history item error', {
+      error: error.message,
+      stack: error.stack
+    });
+
+    res.status(500).json({
+      error: 'Failed to remove from watch history',
+      details: error.message
+    });
+  }
+};
+
+exports.clearHistory = async (req, res) => {
+  try {
+    const { deletedCount } = await WatchHistory.deleteMany({ user: req.user._id });
+
+    logger.info('Watch history cleared', { user: req.user._id, entries: deletedCount });
+
+    res.json({ message: 'Watch history cleared', removed: deletedCount });
+  } catch (error) {
+    logger.error('Clear watch history error', {
+      error: error.message,
+      stack: error.stack
+    });
+
+    res.status(500).json({
+      error: 'Failed to clear watch history',
+      details: error.message
+    });
+  }
+};
+
+// Stop or restart recording watch history
+const setPaused = (paused) => async (req, res) => {
+  try {
+    await User.updateOne({ _id: req.user._id }, { historyPaused: paused });
+
+    res.json({
+      message: paused ? 'Watch history paused' : 'Watch history resumed',
+      paused
+    });
+  } catch (error) {
+    logger.error('Set watch history paused error', {
+      error: error.message,
+      stack: error.stack
+    });
+
+    res.status(500).json({
+      error: `Failed to ${paused ? 'pause' : 'resume'} watch history`,
+      details: error.message
+    });
+  }
+};
+
+exports.pauseHistory = setPaused(true);
+
+exports.resumeHistory = setPaused(false);
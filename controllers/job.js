@@ -0,0 +1,105 @@
+const mongoose = require('mongoose');
+const Job = require('../models/Job');
+const logger = require('../config/logger');
+const { retryJob } = require('../services/queue');
+
+exports.getJobs = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+
+    const filter = {};
+    if (req.query.status) filter.status = req.query.status;
+    if (req.query.type) filter.type = req.query.type;
+
+    const jobs = await Job.find(filter)
+      .select('-failures -result')
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean();
+
+    const total = await Job.countDocuments(filter);
+
+    // Job counts per status for the whole queue
+    const statusCounts = await Job.aggregate([
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]);
+
+    res.json({
+      jobs,
+      counts: Object.fromEntries(statusCounts.map(({ _id, count }) => [_id, count])),
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalJobs: total,
+        limit
+      }
+    });
+  } catch (error) {
+    logger.error('Get jobs error', {
+      error: error.message,
+      stack: error.stack
+    });
+
+    res.status(500).json({
+      error: 'Failed to retrieve jobs',
+      details: error.message
+    });
+  }
+};
+
+exports.getJobById = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid job ID' });
+    }
+
+    const job = await Job.findById(req.params.id).lean();
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    res.json({ job });
+  } catch (error) {
+    logger.error('Get job error', {
+      error: error.message,
+      stack: error.stack
+    });
+
+    res.status(500).json({
+      error: 'Failed to retrieve job',
+      details: error.message
+    });
+  }
+};
+
+exports.retryJob = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid job ID' });
+    }
+
+    const job = await retryJob(req.params.id);
+    if (!job) {
+      const exists = await Job.exists({ _id: req.params.id });
+      return exists
+        ? res.status(409).json({ error: 'Only failed (dead) jobs can be retried' })
+        : res.status(404).json({ error: 'Job not found' });
+    }
+
+    logger.info('Job retried by admin', { jobId: job._id, user: req.user._id });
+
+    res.json({ message: 'Job queued for retry', job });
+  } catch (error) {
+    logger.error('Retry job error', {
+      error: error.message,
+      stack: error.stack
+    });
+
+    res.status(500).json({
+      error: 'Failed to retry job',
+      details: error.message
+    });
+  }
+};
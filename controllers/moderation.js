@@ -0,0 +1,335 @@
+const mongoose = require('mongoose');
+const Video = require('../models/Video');
+const logger = require('../config/logger');
+const { validateVideoDetails, validateOptionalText } = require('../services/validation');
+const { resolveTags } = require('../services/tags');
+const { notify, notifyFollowers } = require('../services/notifications');
+
+const MAX_NOTE_LENGTH = 500;
+
+// Move a video between moderation states, recording who did it and why.
+// Responds and returns null when the video is missing or not in one of the `from` states.
+const transitionVideo = async (res, videoId, { from, to, action, actor, note, set = {} }) => {
+  const current = await Video.findById(videoId).select('status');
+  if (!current) {
+    res.status(404).json({ error: 'Video not found' });
+    return null;
+  }
+
+  // Matching on the status just read makes the transition fail if someone else moved it first
+  const video = from.includes(current.status) && await Video.findOneAndUpdate(
+    { _id: videoId, status: current.status },
+    {
+      $set: { ...set, status: to },
+      $push: {
+        moderationHistory: {
+          actor,
+          action,
+          fromStatus: current.status,
+          toStatus: to,
+          note: note || null
+        }
+      }
+    },
+    { new: true, runValidators: true }
+  );
+
+  if (!video) {
+    res.status(409).json({
+      error: `Only ${from.join(' or ')} videos can be ${to === 'pending' ? 'resubmitted' : to}`,
+      status: current.status
+    });
+    return null;
+  }
+
+  return video;
+};
+
+const validateVideoId = (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({
+      error: 'Invalid video ID',
+      details: `Received ID: ${req.params.id}`
+    });
+    return false;
+  }
+  return true;
+};
+
+exports.getModerationQueue = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+
+    // Oldest submissions first
+    const videos = await Video.find({ status: 'pending' })
+      .select('title description thumbnail tags uploadedBy createdAt updatedAt processingStatus media moderationHistory')
+      .populate('uploadedBy', 'name email')
+      .sort({ createdAt: 1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean();
+
+    const total = await Video.countDocuments({ status: 'pending' });
+    const now = Date.now();
+
+    res.json({
+      videos: videos.map(video => ({
+        ...video,
+        waitingHours: Math.floor((now - new Date(video.createdAt).getTime()) / (60 * 60 * 1000))
+      })),
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalVideos: total,
+        limit
+      }
+    });
+  } catch (error) {
+    logger.error('Get moderation queue error', {
+      error: error.message,
+      stack: error.stack
+    });
+
+    res.status(500).json({
+      error: 'Failed to retrieve moderation queue',
+      details: error.message
+    });
+  }
+};
+
+exports.approveVideo = async (req, res) => {
+  try {
+    if (!validateVideoId(req, res)) return;
+
+    let note;
+    try {
+      note = validateOptionalText(req.body.note, 'Note');
+    } catch (validationError) {
+      return res.status(400).json({ error: validationError.message });
+    }
+    if (note.length > MAX_NOTE_LENGTH) {
+      return res.status(400).json({ error: `Note cannot exceed ${MAX_NOTE_LENGTH} characters` });
+    }
+
+    const video = await transitionVideo(res, req.params.id, {
+      from: ['pending', 'rejected'],
+      to: 'approved',
+      action: 'approve',
+      actor: req.user._id,
+      note,
+      set: { rejectionReason: null }
+    });
+
+    if (!video) return;
+
+    logger.info('Video approved', { videoId: video._id, moderator: req.user._id });
+
+    await notify(video.uploadedBy, {
+      type: 'video-moderation',
+      actor: req.user._id,
+      video: video._id,
+      message: `Your video "${video.title}" was approved`
+    });
+
+    // Followers hear about a video the first time it is published, not on re-approval;
+    // there may be many of them, so this carries on after the response
+    const approvals = video.moderationHistory.filter(entry => entry.action === 'approve');
+    if (approvals.length === 1) {
+      notifyFollowers(video.uploadedBy, {
+        type: 'new-video',
+        video: video._id,
+        message: `New video: "${video.title}"`
+      });
+    }
+
+    res.json({
+      message: 'Video approved',
+      video: {
+        id: video._id,
+        status: video.status,
+        moderationHistory: video.moderationHistory
+      }
+    });
+  } catch (error) {
+    logger.error('Approve video error', {
+      error: error.message,
+      stack: error.stack
+    });
+
+    res.status(500).json({
+      error: 'Failed to approve video',
+      details: error.message
+    });
+  }
+};
+
+exports.rejectVideo = async (req, res) => {
+  try {
+    if (!validateVideoId(req, res)) return;
+
+    let reason;
+    try {
+      reason = validateOptionalText(req.body.reason, 'Reason');
+    } catch (validationError) {
+      return res.status(400).json({ error: validationError.message });
+    }
+    if (!reason) {
+      return res.status(400).json({ error: 'A rejection reason is required' });
+    }
+    if (reason.length > MAX_NOTE_LENGTH) {
+      return res.status(400).json({ error: `Reason cannot exceed ${MAX_NOTE_LENGTH} characters` });
+    }
+
+    const video = await transitionVideo(res, req.params.id, {
+      from: ['pending', 'approved'],
+      to: 'rejected',
+      action: 'reject',
+      actor: req.user._id,
+      note: reason,
+      set: { rejectionReason: reason }
+    });
+
+    if (!video) return;
+
+    logger.info('Video rejected', { videoId: video._id, moderator: req.user._id });
+
+    await notify(video.uploadedBy, {
+      type: 'video-moderation',
+      actor: req.user._id,
+      video: video._id,
+      message: `Your video "${video.title}" was rejected: ${reason}`
+    });
+
+    res.json({
+      message: 'Video rejected',
+      video: {
+        id: video._id,
+        status: video.status,
+        rejectionReason: video.rejectionReason,
+        moderationHistory: video.moderationHistory
+      }
+    });
+  } catch (error) {
+    logger.error('Reject video error', {
+      error: error.message,
+      stack: error.stack
+    });
+
+    res.status(500).json({
+      error: 'Failed to reject video',
+      details: error.message
+    });
+  }
+};
+
+exports.getModerationStatus = async (req, res) => {
+  try {
+    if (!validateVideoId(req, res)) return;
+
+    const video = await Video.findById(req.params.id)
+      .select('title status rejectionReason moderationHistory uploadedBy')
+      .populate('moderationHistory.actor', 'name role')
+      .lean();
+
+    if (!video) {
+      return res.status(404).json({ error: 'Video not found' });
+    }
+
+    // Only the uploader and admins can see moderation details
+    if (req.user.role !== 'admin' && video.uploadedBy.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ error: 'Not authorized to view moderation details' });
+    }
+
+    res.json({
+      video: {
+        id: video._id,
+        title: video.title,
+        status: video.status,
+        rejectionReason: video.rejectionReason,
+        moderationHistory: video.moderationHistory || []
+      }
+    });
+  } catch (error) {
+    logger.error('Get moderation status error', {
+      error: error.message,
+      stack: error.stack
+    });
+
+    res.status(500).json({
+      error: 'Failed to retrieve moderation status',
+      details: error.message
+    });
+  }
+};
+
+exports.resubmitVideo = async (req, res) => {
+  try {
+    if (!validateVideoId(req, res)) return;
+
+    const existing = await Video.findById(req.params.id).select('uploadedBy title description tags');
+    if (!existing) {
+      return res.status(404).json({ error: 'Video not found' });
+    }
+
+    if (existing.uploadedBy.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ error: 'Only the uploader can resubmit this video' });
+    }
+
+    // Uploaders may fix the details that got the video rejected
+    const { title, description, tags } = req.body;
+    const details = {
+      title: title ?? existing.title,
+      description: description ?? existing.description,
+      tags: tags ?? existing.tags
+    };
+
+    let note;
+    try {
+      details.tags = validateVideoDetails(details);
+      note = validateOptionalText(req.body.note, 'Note');
+    } catch (validationError) {
+      return res.status(400).json({ error: validationError.message });
+    }
+
+    details.tags = await resolveTags(details.tags);
+
+    if (note.length > MAX_NOTE_LENGTH) {
+      return res.status(400).json({ error: `Note cannot exceed ${MAX_NOTE_LENGTH} characters` });
+    }
+
+    const video = await transitionVideo(res, req.params.id, {
+      from: ['rejected'],
+      to: 'pending',
+      action: 'resubmit',
+      actor: req.user._id,
+      note,
+      set: { ...details, rejectionReason: null }
+    });
+
+    if (!video) return;
+
+    logger.info('Video resubmitted', { videoId: video._id, user: req.user._id });
+
+    res.json({
+      message: 'Video resubmitted for review',
+      video: {
+        id: video._id,
+        title: video.title,
+        description: video.description,
+        tags: video.tags,
+        status: video.status
+      }
+    });
+  } catch (error) {
+    logger.error('Resubmit video error', {
+      error: error.message,
+      stack: error.stack
+    });
+
+    res.status(500).json({
+      error: 'Failed to resubmit video',
+      details: error.message
+    });
+  }
+};
@@ -0,0 +1,278 @@
+const mongoose = require('mongoose');
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const logger = require('../config/logger');
+const {
+  NOTIFICATION_TYPES,
+  formatNotification,
+  sendEvent,
+  push,
+  subscribe
+} = require('../services/notifications');
+const { signStreamToken, isSessionActive } = require('../services/session');
+
+const MAX_LIMIT = 100;
+// Comment lines keep idle event streams open through proxies; each heartbeat also
+// re-checks that the stream may stay open
+const HEARTBEAT_MS = 25 * 1000;
+
+const countUnread = (userId) => Notification.countDocuments({ user: userId, readAt: null });
+
+// Keep the user's other open tabs in step with read changes
+const pushUnreadCount = async (userId) => {
+  push(userId, 'unread-count', { unreadCount: await countUnread(userId) });
+};
+
+// Every type with whether it is on; types the user never changed are on
+const preferencesOf = (user) => Object.fromEntries(
+  NOTIFICATION_TYPES.map(type => [type, user.notificationPreferences?.get(type) !== false])
+);
+
+// The current user's notifications, newest first; `unread=true` shows only unread ones
+exports.getNotifications = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, MAX_LIMIT);
+    const query = { user: req.user._id };
+    if (req.query.unread === 'true') query.readAt = null;
+
+    const [notifications, total, unreadCount] = await Promise.all([
+      Notification.find(query)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('actor', 'name avatarUrl')
+        .populate('video', 'title thumbnail')
+        .lean(),
+      Notification.countDocuments(query),
+      countUnread(req.user._id)
+    ]);
+
+    res.json({
+      notifications: notifications.map(formatNotification),
+      unreadCount,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page
+    });
+  } catch (error) {
+    logger.error('Get notifications error', {
+      error: error.message,
+      stack: error.stack
+    });
+
+    res.status(500).json({
+      error: 'Failed to retrieve notifications',
+      details: error.message
+    });
+  }
+};
+
+exports.getUnreadCount = async (req, res) => {
+  try {
+    res.json({ unreadCount: await countUnread(req.user._id) });
+  } catch (error) {
+    logger.error('Get unread notification count error', {
+      error: error.message,
+      stack: error.stack
+    });
+
+    res.status(500).json({
+      error: 'Failed to retrieve unread count',
+      details: error.message
+    });
+  }
+};
+
+exports.markRead = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid notification ID' });
+    }
+
+    const notification = await Notification.findOneAndUpdate(
+      { _id: req.params.id, user: req.user._id },
+      [{ $set: { readAt: { $ifNull: ['$readAt', '$$NOW'] } } }],
+      { new: true }
+    );
+
+    if (!notification) {
+      return res.status(404).json({ error: 'Notification not found' });
+    }
+
+    await pushUnreadCount(req.user._id);
+
+    res.json({ message: 'Notification marked as read', readAt: notification.readAt });
+  } catch (error) {
+    logger.error('Mark notification read error', {
+      error: error.message,
+      stack: error.stack
+    });
+
+    res.status(500).json({
+      error: 'Failed to mark notification as read',
+      details: error.message
+    });
+  }
+};
+
+exports.markAllRead = async (req, res) => {
+  try {
+    const { modifiedCount } = await Notification.updateMany(
+      { user: req.user._id, readAt: null },
+      { readAt: new Date() }
+    );
+
+    await pushUnreadCount(req.user._id);
+
+    res.json({ message: 'All notifications marked as read', updated: modifiedCount });
+  } catch (error) {
+    logger.error('Mark all notifications read error', {
+      error: error.message,
+      stack: error.stack
+    });
+
+    res.status(500).json({
+      error: 'Failed to mark notifications as read',
+      details: error.message
+    });
+  }
+};
+
+exports.getPreferences = async (req, res) => {
+  try {
+    res.json({ preferences: preferencesOf(req.user) });
+  } catch (error) {
+    logger.error('Get notification preferences error', {
+      error: error.message,
+      stack: error.stack
+    });
+
+    res.status(500).json({
+      error: 'Failed to retrieve notification preferences',
+      details: error.message
+    });
+  }
+};
+
+// Turn notification types on or off, e.g. { "new-video": false }
+exports.updatePreferences = async (req, res) => {
+  try {
+    const changes = Object.entries(req.body || {});
+
+    if (changes.length === 0) {
+      return res.status(400).json({ error: 'No preferences provided' });
+    }
+    for (const [type, enabled] of changes) {
+      if (!NOTIFICATION_TYPES.includes(type)) {
+        return res.status(400).json({ error: `Type must be one of: ${NOTIFICATION_TYPES.join(', ')}` });
+      }
+      if (typeof enabled !== 'boolean') {
+        return res.status(400).json({ error: `Preference for ${type} must be true or false` });
+      }
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.user._id,
+      { $set: Object.fromEntries(changes.map(([type, enabled]) => [`notificationPreferences.${type}`, enabled])) },
+      { new: true }
+    ).select('notificationPreferences');
+
+    res.json({ message: 'Notification preferences updated', preferences: preferencesOf(user) });
+  } catch (error) {
+    logger.error('Update notification preferences error', {
+      error: error.message,
+      stack: error.stack
+    });
+
+    res.status(500).json({
+      error: 'Failed to update notification preferences',
+      details: error.message
+    });
+  }
+};
+
+// Why a stream has to close: its session was revoked, the account was suspended or
+// deleted, or the access token it was opened with has expired. Null while it may stay open.
+const streamCloseReason = async (req) => {
+  if (Date.now() >= req.streamExpiresAt * 1000) return 'token-expired';
+  if (!(await isSessionActive(req.sessionId, req.user._id))) return 'session-revoked';
+
+  const user = await User.findById(req.user._id).select('suspension');
+  if (!user) return 'session-revoked';
+  if (user.activeSuspension()) return 'account-suspended';
+  return null;
+};
+
+// A short-lived token for opening the notification stream, which EventSource can only
+// authenticate through the URL; it keeps the access token out of logged URLs
+exports.createStreamToken = async (req, res) => {
+  try {
+    res.json({
+      token: signStreamToken(req.user._id, req.sessionId, req.tokenExpiresAt),
+      expiresIn: 60
+    });
+  } catch (error) {
+    logger.error('Create stream token error', {
+      error: error.message,
+      stack: error.stack
+    });
+
+    res.status(500).json({
+      error: 'Failed to create stream token',
+      details: error.message
+    });
+  }
+};
+
+// Server-Sent Events stream of new notifications and unread count changes.
+// A `close` event with a reason is sent before the server ends the stream.
+exports.streamNotifications = async (req, res) => {
+  try {
+    const unreadCount = await countUnread(req.user._id);
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      // Stop nginx from buffering the stream
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    const unsubscribe = subscribe(req.user._id, res);
+    const heartbeat = setInterval(async () => {
+      try {
+        const reason = await streamCloseReason(req);
+        if (reason) {
+          sendEvent(res, 'close', { reason });
+          return res.end();
+        }
+        res.write(': ping\n\n');
+      } catch (error) {
+        logger.error('Notification stream check failed', {
+          userId: req.user._id,
+          error: error.message
+        });
+      }
+    }, HEARTBEAT_MS);
+
+    res.on('close', () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    });
+
+    sendEvent(res, 'unread-count', { unreadCount });
+  } catch (error) {
+    logger.error('Notification stream error', {
+      error: error.message,
+      stack: error.stack
+    });
+
+    if (!res.headersSent) {
+      res.status(500).json({
+        error: 'Failed to open notification stream',
+        details: error.message
+      });
+    }
+  }
+};
@@ -0,0 +1,581 @@
+const mongoose = require('mongoose');
+const Playlist = require('../models/Playlist');
+const Video = require('../models/Video');
+const Like = require('../models/Like');
+const logger = require('../config/logger');
+const { withPlaybackUrls } = require('../services/playback');
+
+const WATCH_LATER = 'watch-later';
+const MAX_PLAYLISTS = 200;
+const MAX_ITEMS = 5000;
+const MAX_TITLE_LENGTH = 150;
+const MAX_DESCRIPTION_LENGTH = 5000;
+const VISIBILITIES = Playlist.schema.path('visibility').enumValues;
+
+const PLAYLIST_VIDEO_FIELDS = 'title thumbnail hlsPrefix media status views likes uploadedBy createdAt';
+
+// Playlist routes take an id or "watch-later" for the user's own Watch later list
+const isPlaylistId = (id) => id === WATCH_LATER || mongoose.Types.ObjectId.isValid(id);
+
+// Only approved videos are visible, except to admins and the uploader
+const canViewVideo = (user, video) => (
+  video.status === 'approved' ||
+  user.role === 'admin' ||
+  (video.uploadedBy?._id || video.uploadedBy).toString() === user._id.toString()
+);
+
+// Query form of canViewVideo, for filtering before paging
+const visibleVideoMatch = (user) => (
+  user.role === 'admin' ? {} : { $or: [{ status: 'approved' }, { uploadedBy: user._id }] }
+);
+
+const formatVideo = ({ media, ...video }) => ({
+  ...withPlaybackUrls(video),
+  duration: media?.duration ?? null
+});
+
+const formatPlaylist = (playlist, user) => ({
+  _id: playlist._id,
+  kind: playlist.kind,
+  title: playlist.title,
+  description: playlist.description,
+  visibility: playlist.visibility,
+  owner: playlist.owner,
+  itemCount: playlist.itemCount ?? playlist.items.length,
+  isOwner: (playlist.owner._id || playlist.owner).toString() === user._id.toString(),
+  createdAt: playlist.createdAt,
+  updatedAt: playlist.updatedAt
+});
+
+// The user's Watch later list, created the first time it is needed
+const findWatchLater = async (userId) => {
+  const filter = { owner: userId, kind: WATCH_LATER };
+  try {
+    return await Playlist.findOneAndUpdate(
+      filter,
+      { $setOnInsert: { title: 'Watch later', visibility: 'private' } },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+  } catch (error) {
+    // Two requests created it at once; the other one won
+    if (error.code !== 11000) throw error;
+    return Playlist.findOne(filter);
+  }
+};
+
+const findPlaylist = (id, user) => (
+  id === WATCH_LATER ? findWatchLater(user._id) : Playlist.findById(id)
+);
+
+// List playlists without loading their items
+const listPlaylists = (filter, user, { page, limit }) => Promise.all([
+  Playlist.aggregate([
+    { $match: filter },
+    // Watch later first, then the most recently changed
+    { $sort: { kind: -1, updatedAt: -1 } },
+    { $skip: (page - 1) * limit },
+    { $limit: limit },
+    { $addFields: { itemCount: { $size: '$items' } } },
+    { $project: { items: 0 } }
+  ]),
+  Playlist.countDocuments(filter)
+]).then(([playlists, total]) => ({
+  playlists: playlists.map(playlist => formatPlaylist(playlist, user)),
+  totalPages: Math.ceil(total / limit),
+  currentPage: page
+}));
+
+// Validate title, description and visibility; only fields present in body are returned
+const validatePlaylistDetails = (body, { requireTitle }) => {
+  const details = {};
+
+  if (body.title !== undefined || requireTitle) {
+    const title = typeof body.title === 'string' ? body.title.trim() : '';
+    if (!title) {
+      throw new Error('Playlist title is required');
+    }
+    if (title.length > MAX_TITLE_LENGTH) {
+      throw new Error(`Playlist title cannot exceed ${MAX_TITLE_LENGTH} characters`);
+    }
+    details.title = title;
+  }
+
+  if (body.description !== undefined) {
+    const description = typeof body.description === 'string' ? body.description.trim() : '';
+    if (description.length > MAX_DESCRIPTION_LENGTH) {
+      throw new Error(`Playlist description cannot exceed ${MAX_DESCRIPTION_LENGTH} characters`);
+    }
+    details.description = description;
+  }
+
+  if (body.visibility !== undefined) {
+    if (!VISIBILITIES.includes(body.visibility)) {
+      throw new Error(`Visibility must be one of: ${VISIBILITIES.join(', ')}`);
+    }
+    details.visibility = body.visibility;
+  }
+
+  return details;
+};
+
+// The current user's playlists, including Watch later
+exports.getMyPlaylists = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+
+    await findWatchLater(req.user._id);
+
+    res.json(await listPlaylists({ owner: req.user._id }, req.user, { page, limit }));
+  } catch (error) {
+    logger.error('Get my playlists error', {
+      error: error.message,
+      stack: error.stack
+    });
+
+    res.status(500).json({
+      error: 'Failed to retrieve playlists',
+      details: error.message
+    });
+  }
+};
+
+// Another user's public playlists; owners and admins see all of them
+exports.getUserPlaylists = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const { userId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({ error: 'Invalid user ID' });
+    }
+
+    const filter = { owner: new mongoose.Types.ObjectId(userId) };
+    if (req.user.role !== 'admin' && userId !== req.user._id.toString()) {
+      filter.visibility = 'public';
+    }
+
+    res.json(await listPlaylists(filter, req.user, { page, limit }));
+  } catch (error) {
+    logger.error('Get user playlists error', {
+      error: error.message,
+      stack: error.stack
+    });
+
+    res.status(500).json({
+      error: 'Failed to retrieve playlists',
+      details: error.message
+    });
+  }
+};
+
+exports.createPlaylist = async (req, res) => {
+  try {
+    let details;
+    try {
+      details = validatePlaylistDetails(req.body, { requireTitle: true });
+    } catch (validationError) {
+      return res.status(400).json({ error: validationError.message });
+    }
+
+    const count = await Playlist.countDocuments({ owner: req.user._id, kind: 'custom' });
+    if (count >= MAX_PLAYLISTS) {
+      return res.status(400).json({ error: `You cannot have more than ${MAX_PLAYLISTS} playlists` });
+    }
+
+    const playlist = await Playlist.create({ ...details, owner: req.user._id });
+
+    logger.info('Playlist created', { playlistId: playlist._id, owner: req.user._id });
+
+    res.status(201).json({
+      message: 'Playlist created',
+      playlist: formatPlaylist(playlist, req.user)
+    });
+  } catch (error) {
+    logger.error('Create playlist error', {
+      error: error.message,
+      stack: error.stack
+    });
+
+    res.status(500).json({
+      error: 'Failed to create playlist',
+      details: error.message
+    });
+  }
+};
+
+// A playlist and a page of its videos, in playlist order
+exports.getPlaylist = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+
+    if (!isPlaylistId(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid playlist ID' });
+    }
+
+    const playlist = await findPlaylist(req.params.id, req.user);
+    if (!playlist || !playlist.isViewableBy(req.user)) {
+      return res.status(404).json({ error: 'Playlist not found' });
+    }
+
+    await playlist.populate('owner', 'name');
+
+    const skip = (page - 1) * limit;
+    const pageItems = playlist.items.slice(skip, skip + limit);
+    const videos = await Video.find({ _id: { $in: pageItems.map(item => item.video) } })
+      .select(PLAYLIST_VIDEO_FIELDS)
+      .populate('uploadedBy', 'name')
+      .lean();
+    const byId = new Map(videos.map(video => [video._id.toString(), video]));
+
+    // Videos that were unapproved since being added keep their place but are not shown
+    const items = pageItems
+      .map((item, index) => ({ item, index, video: byId.get(item.video.toString()) }))
+      .filter(({ video }) => video && canViewVideo(req.user, video))
+      .map(({ item, index, video }) => ({
+        position: skip + index,
+        addedAt: item.addedAt,
+        video: formatVideo(video)
+      }));
+
+    res.json({
+      playlist: formatPlaylist(playlist, req.user),
+      items,
+      totalPages: Math.ceil(playlist.items.length / limit),
+      currentPage: page
+    });
+  } catch (error) {
+    logger.error('Get playlist error', {
+      error: error.message,
+      stack: error.stack
+    });
+
+    res.status(500).json({
+      error: 'Failed to retrieve playlist',
+      details: error.message
+    });
+  }
+};
+
+// Rename, describe or change the visibility of a playlist (owner only)
+exports.updatePlaylist = async (req, res) => {
+  try {
+    if (!isPlaylistId(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid playlist ID' });
+    }
+
+    const playlist = await findPlaylist(req.params.id, req.user);
+    if (!playlist || !playlist.isViewableBy(req.user)) {
+      return res.status(404).json({ error: 'Playlist not found' });
+    }
+    if (!playlist.isOwnedBy(req.user)) {
+      return res.status(403).json({ error: 'Only the owner can change this playlist' });
+    }
+    if (playlist.kind === WATCH_LATER) {
+      return res.status(400).json({ error: 'Watch later cannot be renamed or shared' });
+    }
+
+    let details;
+    try {
+      details = validatePlaylistDetails(req.body, { requireTitle: false });
+    } catch (validationError) {
+      return res.status(400).json({ error: validationError.message });
+    }
+
+    playlist.set(details);
+    await playlist.save();
+
+    res.json({
+      message: 'Playlist updated',
+      playlist: formatPlaylist(playlist, req.user)
+    });
+  } catch (error) {
+    logger.error('Update playlist error', {
+      error: error.message,
+      stack: error.stack
+    });
+
+    res.status(500).json({
+      error: 'Failed to update playlist',
+      details: error.message
+    });
+  }
+};
+
+// Delete a playlist (owner or admin); the videos themselves are untouched
+exports.deletePlaylist = async (req, res) => {
+  try {
+    if (!isPlaylistId(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid playlist ID' });
+    }
+
+    const playlist = await findPlaylist(req.params.id, req.user);
+    if (!playlist || !playlist.isViewableBy(req.user)) {
+      return res.status(404).json({ error: 'Playlist not found' });
+    }
+    if (!playlist.isOwnedBy(req.user) && req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Only the owner can delete this playlist' });
+    }
+    if (playlist.kind === WATCH_LATER) {
+      return res.status(400).json({ error: 'Watch later cannot be deleted' });
+    }
+
+    await Playlist.deleteOne({ _id: playlist._id });
+
+    logger.info('Playlist deleted', { playlistId: playlist._id, deletedBy: req.user._id });
+
+    res.json({ message: 'Playlist deleted' });
+  } catch (error) {
+    logger.error('Delete playlist error', {
+      error: error.message,
+      stack: error.stack
+    });
+
+    res.status(500).json({
+      error: 'Failed to delete playlist',
+      details: error.message
+    });
+  }
+};
+
+// Add a video at `position`, or at the end (owner only)
+exports.addPlaylistItem = async (req, res) => {
+  try {
+    const { videoId } = req.body;
+
+    if (!isPlaylistId(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid playlist ID' });
+    }
+    if (!mongoose.Types.ObjectId.isValid(videoId)) {
+      return res.status(400).json({ error: 'Invalid video ID' });
+    }
+
+    const position = req.body.position === undefined ? null : Number(req.body.position);
+    if (position !== null && (!Number.isInteger(position) || position < 0)) {
+      return res.status(400).json({ error: 'Position must be a non-negative integer' });
+    }
+
+    const playlist = await findPlaylist(req.params.id, req.user);
+    if (!playlist || !playlist.isViewableBy(req.user)) {
+      return res.status(404).json({ error: 'Playlist not found' });
+    }
+    if (!playlist.isOwnedBy(req.user)) {
+      return res.status(403).json({ error: 'Only the owner can change this playlist' });
+    }
+
+    const video = await Video.findById(videoId).select('status uploadedBy').lean();
+    if (!video || !canViewVideo(req.user, video)) {
+      return res.status(404).json({ error: 'Video not found' });
+    }
+
+    // Conditional push so concurrent adds cannot duplicate a video or overfill the list;
+    // bumping the version makes a concurrent reorder retry instead of overwriting it
+    const push = { $each: [{ video: video._id, addedAt: new Date() }] };
+    if (position !== null) push.$position = position;
+
+    const { modifiedCount } = await Playlist.updateOne(
+      {
+        _id: playlist._id,
+        'items.video': { $ne: video._id },
+        [`items.${MAX_ITEMS - 1}`]: { $exists: false }
+      },
+      { $push: { items: push }, $inc: { __v: 1 } }
+    );
+
+    if (!modifiedCount) {
+      const duplicate = await Playlist.exists({ _id: playlist._id, 'items.video': video._id });
+      return duplicate
+        ? res.status(409).json({ error: 'Video is already in this playlist' })
+        : res.status(400).json({ error: `Playlists cannot hold more than ${MAX_ITEMS} videos` });
+    }
+
+    res.status(201).json({ message: 'Video added to playlist', playlistId: playlist._id });
+  } catch (error) {
+    logger.error('Add playlist item error', {
+      error: error.message,
+      stack: error.stack
+    });
+
+    res.status(500).json({
+      error: 'Failed to add video to playlist',
+      details: error.message
+    });
+  }
+};
+
+exports.removePlaylistItem = async (req, res) => {
+  try {
+    const { videoId } = req.params;
+
+    if (!isPlaylistId(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid playlist ID' });
+    }
+    if (!mongoose.Types.ObjectId.isValid(videoId)) {
+      return res.status(400).json({ error: 'Invalid video ID' });
+    }
+
+    const playlist = await findPlaylist(req.params.id, req.user);
+    if (!playlist || !playlist.isViewableBy(req.user)) {
+      return res.status(404).json({ error: 'Playlist not found' });
+    }
+    if (!playlist.isOwnedBy(req.user)) {
+      return res.status(403).json({ error: 'Only the owner can change this playlist' });
+    }
+
+    const { modifiedCount } = await Playlist.updateOne(
+      { _id: playlist._id },
+      { $pull: { items: { video: videoId } }, $inc: { __v: 1 } }
+    );
+
+    if (!modifiedCount) {
+      return res.status(404).json({ error: 'Video is not in this playlist' });
+    }
+
+    res.json({ message: 'Video removed from playlist' });
+  } catch (error) {
+    logger.error('Remove playlist item error', {
+      error: error.message,
+      stack: error.stack
+    });
+
+    res.status(500).json({
+      error: 'Failed to remove video from playlist',
+      details: error.message
+    });
+  }
+};
+
+// Move a video to a new `position` in the playlist (owner only)
+exports.movePlaylistItem = async (req, res) => {
+  try {
+    const { videoId } = req.params;
+    const position = Number(req.body.position);
+
+    if (!isPlaylistId(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid playlist ID' });
+    }
+    if (!mongoose.Types.ObjectId.isValid(videoId)) {
+      return res.status(400).json({ error: 'Invalid video ID' });
+    }
+    if (!Number.isInteger(position) || position < 0) {
+      return res.status(400).json({ error: 'Position must be a non-negative integer' });
+    }
+
+    const playlist = await findPlaylist(req.params.id, req.user);
+    if (!playlist || !playlist.isViewableBy(req.user)) {
+      return res.status(404).json({ error: 'Playlist not found' });
+    }
+    if (!playlist.isOwnedBy(req.user)) {
+      return res.status(403).json({ error: 'Only the owner can change this playlist' });
+    }
+
+    const from = playlist.items.findIndex(item => item.video.toString() === videoId);
+    if (from === -1) {
+      return res.status(404).json({ error: 'Video is not in this playlist' });
+    }
+
+    const to = Math.min(position, playlist.items.length - 1);
+    const [item] = playlist.items.splice(from, 1);
+    playlist.items.splice(to, 0, item);
+
+    try {
+      await playlist.save();
+    } catch (saveError) {
+      // The playlist changed since it was loaded
+      if (saveError.name === 'VersionError') {
+        return res.status(409).json({ error: 'Playlist was modified, please try again' });
+      }
+      throw saveError;
+    }
+
+    res.json({ message: 'Playlist reordered', videoId, position: to });
+  } catch (error) {
+    logger.error('Move playlist item error', {
+      error: error.message,
+      stack: error.stack
+    });
+
+    res.status(500).json({
+      error: 'Failed to reorder playlist',
+      details: error.message
+    });
+  }
+};
+
+// Videos the current user has liked, most recently liked first
+exports.getLikedVideos = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+
+    // Liked videos that were deleted or are no longer visible are left out before
+    // paging, so pages stay full and the count matches
+    const [result] = await Like.aggregate([
+      { $match: { user: req.user._id } },
+      {
+        $lookup: {
+          from: 'videos',
+          let: { videoId: '$video' },
+          pipeline: [
+            { $match: { $expr: { $eq: ['$_id', '$$videoId'] }, ...visibleVideoMatch(req.user) } },
+            { $project: Object.fromEntries(PLAYLIST_VIDEO_FIELDS.split(' ').map(field => [field, 1])) }
+          ],
+          as: 'video'
+        }
+      },
+      { $unwind: '$video' },
+      {
+        $facet: {
+          likes: [
+            { $sort: { createdAt: -1, _id: -1 } },
+            { $skip: (page - 1) * limit },
+            { $limit: limit },
+            {
+              $lookup: {
+                from: 'users',
+                localField: 'video.uploadedBy',
+                foreignField: '_id',
+                as: 'uploader'
+              }
+            },
+            {
+              $addFields: {
+                'video.uploadedBy': {
+                  _id: '$video.uploadedBy',
+                  name: { $arrayElemAt: ['$uploader.name', 0] }
+                }
+              }
+            }
+          ],
+          total: [{ $count: 'count' }]
+        }
+      }
+    ]);
+
+    const total = result.total[0]?.count || 0;
+
+    res.json({
+      playlist: {
+        kind: 'liked',
+        title: 'Liked videos',
+        visibility: 'private',
+        itemCount: total
+      },
+      items: result.likes.map(({ video, createdAt }) => ({ addedAt: createdAt, video: formatVideo(video) })),
+      totalPages: Math.ceil(total / limit),
+      currentPage: page
+    });
+  } catch (error) {
+    logger.error('Get liked videos error', {
+      error: error.message,
+      stack: error.stack
+    });
+
+    res.status(500).json({
+      error: 'Failed to retrieve liked videos',
+      details: error.message
+    });
+  }
+};
@@ -0,0 +1,184 @@
+const mongoose = require('mongoose');
+const Video = require('../models/Video');
+const TrendingEntry = require('../models/TrendingEntry');
+const logger = require('../config/logger');
+const { likedVideoIds } = require('../services/likes');
+const { getRelatedCandidates, watchedVideoIds } = require('../services/recommendations');
+const { TRENDING_WINDOWS } = require('../services/trending');
+const { resolveTag } = require('../services/tags');
+const { withPlaybackUrls } = require('../services/playback');
+
+const MAX_LIMIT = 30;
+
+const TRENDING_VIDEO_FIELDS = {
+  title: 1,
+  thumbnail: 1,
+  hlsPrefix: 1,
+  tags: 1,
+  media: 1,
+  views: 1,
+  likes: 1,
+  comments: 1,
+  status: 1,
+  uploadedBy: 1,
+  createdAt: 1
+};
+
+// Other approved videos to watch next, best match first
+exports.getRelatedVideos = async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 10, MAX_LIMIT);
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        error: 'Invalid video ID',
+        details: `Received ID: ${req.params.id}`
+      });
+    }
+
+    const video = await Video.findById(req.params.id).select('tags uploadedBy status').lean();
+
+    // Only approved videos are visible, except to admins and the uploader
+    const visible = video && (
+      video.status === 'approved' ||
+      req.user.role === 'admin' ||
+      video.uploadedBy.toString() === req.user._id.toString()
+    );
+    if (!visible) {
+      return res.status(404).json({ error: 'Video not found' });
+    }
+
+    const { candidates, cached } = await getRelatedCandidates(video);
+
+    // Skip what the user has already seen
+    const watched = await watchedVideoIds(req.user._id, candidates.map(({ id }) => id));
+    const picked = candidates.filter(({ id }) => !watched.has(id)).slice(0, limit);
+
+    const videos = await Video.find({ _id: { $in: picked.map(({ id }) => id) }, status: 'approved' })
+      .select('title thumbnail hlsPrefix tags media views likes uploadedBy createdAt')
+      .populate('uploadedBy', 'name')
+      .lean();
+    const byId = new Map(videos.map(related => [related._id.toString(), related]));
+    const likedIds = await likedVideoIds(req.user._id, videos.map(related => related._id));
+
+    res.json({
+      videos: picked
+        .filter(({ id }) => byId.has(id))
+        .map(({ id, score, reasons }) => {
+          const { media, ...related } = byId.get(id);
+          return {
+            ...withPlaybackUrls(related),
+            duration: media?.duration ?? null,
+            likedByMe: likedIds.has(id),
+            score,
+            reasons
+          };
+        }),
+      cached
+    });
+  } catch (error) {
+    logger.error('Get related videos error', {
+      error: error.message,
+      stack: error.stack
+    });
+
+    res.status(500).json({
+      error: 'Failed to retrieve related videos',
+      details: error.message
+    });
+  }
+};
+
+// Videos gaining the most views, likes and comments lately, from the precomputed scores
+exports.getTrendingVideos = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, MAX_LIMIT);
+    const window = req.query.window || '24h';
+
+    if (!TRENDING_WINDOWS.includes(window)) {
+      return res.status(400).json({ error: `Window must be one of: ${TRENDING_WINDOWS.join(', ')}` });
+    }
+
+    const query = { window };
+    if (req.query.tag) {
+      query.tags = await resolveTag(req.query.tag);
+    }
+
+    // Videos removed or unapproved since the last recalculation are left out before
+    // paging, so pages stay full and the total matches
+    const [result] = await TrendingEntry.aggregate([
+      { $match: query },
+      {
+        $lookup: {
+          from: 'videos',
+          let: { videoId: '$video' },
+          pipeline: [
+            { $match: { $expr: { $eq: ['$_id', '$$videoId'] }, status: 'approved' } },
+            { $project: TRENDING_VIDEO_FIELDS }
+          ],
+          as: 'video'
+        }
+      },
+      { $unwind: '$video' },
+      {
+        $facet: {
+          entries: [
+            { $sort: { score: -1, _id: 1 } },
+            { $skip: (page - 1) * limit },
+            { $limit: limit },
+            {
+              $lookup: {
+                from: 'users',
+                localField: 'video.uploadedBy',
+                foreignField: '_id',
+                as: 'uploader'
+              }
+            },
+            {
+              $addFields: {
+                'video.uploadedBy': {
+                  _id: '$video.uploadedBy',
+                  name: { $arrayElemAt: ['$uploader.name', 0] }
+                }
+              }
+            }
+          ],
+          total: [{ $count: 'count' }],
+          computedAt: [{ $group: { _id: null, at: { $max: '$computedAt' } } }]
+        }
+      }
+    ]);
+
+    const trending = result.entries;
+    const total = result.total[0]?.count || 0;
+    const likedIds = await likedVideoIds(req.user._id, trending.map(entry => entry.video._id));
+
+    res.json({
+      window,
+      tag: query.tags || null,
+      computedAt: result.computedAt[0]?.at || null,
+      videos: trending.map(({ video, score }) => {
+        const { media, ...rest } = video;
+        return {
+          ...withPlaybackUrls(rest),
+          duration: media?.duration ?? null,
+          likedByMe: likedIds.has(video._id.toString()),
+          trendingScore: Math.round(score * 100) / 100
+        };
+      }),
+      totalPages: Math.ceil(total / limit),
+      currentPage: page
+    });
+  } catch (error) {
+    logger.error('Get trending videos error', {
+      error: error.message,
+      stack: error.stack
+    });
+
+    res.status(500).json({
+      error: 'Failed to retrieve trending videos',
+      details: error.message
+    });
+  }
+};
@@ -0,0 +1,287 @@
+const mongoose = require('mongoose');
+const Video = require('../models/Video');
+const logger = require('../config/logger');
+const { likedVideoIds } = require('../services/likes');
+const { resolveTags } = require('../services/tags');
+const { withPlaybackUrls } = require('../services/playback');
+
+const MAX_LIMIT = 50;
+const FACET_TAG_LIMIT = 20;
+const FACET_UPLOADER_LIMIT = 10;
+const SORT_OPTIONS = ['relevance', 'newest', 'views'];
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const splitList = (value) => String(value || '')
+  .split(',')
+  .map(item => item.trim().toLowerCase())
+  .filter(Boolean);
+
+const parseDate = (value, name) => {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`${name} must be a valid date`);
+  }
+  return date;
+};
+
+const parseNumber = (value, name) => {
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < 0) {
+    throw new Error(`${name} must be a non-negative number`);
+  }
+  return number;
+};
+
+// Translate the query string into a $match on everything except the search text
+const buildFilters = (query, user, tags) => {
+  const filters = { status: 'approved' };
+
+  // Admins may search other statuses
+  if (user.role === 'admin' && query.status) {
+    filters.status = String(query.status);
+  }
+
+  if (tags.length > 0) {
+    filters.tags = query.tagMode === 'all' ? { $all: tags } : { $in: tags };
+  }
+
+  if (query.uploader) {
+    if (!mongoose.Types.ObjectId.isValid(query.uploader)) {
+      throw new Error('uploader must be a valid user ID');
+    }
+    filters.uploadedBy = new mongoose.Types.ObjectId(query.uploader);
+  }
+
+  if (query.from || query.to) {
+    filters.createdAt = {};
+    if (query.from) filters.createdAt.$gte = parseDate(query.from, 'from');
+    if (query.to) filters.createdAt.$lte = parseDate(query.to, 'to');
+  }
+
+  if (query.minViews) {
+    filters.views = { $gte: parseNumber(query.minViews, 'minViews') };
+  }
+
+  if (query.minDuration || query.maxDuration) {
+    filters['media.duration'] = {};
+    if (query.minDuration) filters['media.duration'].$gte = parseNumber(query.minDuration, 'minDuration');
+    if (query.maxDuration) filters['media.duration'].$lte = parseNumber(query.maxDuration, 'maxDuration');
+  }
+
+  return filters;
+};
+
+// Score prefix matches by where each term appears: title, then tags, then description
+const prefixScore = (terms) => ({
+  $add: terms.flatMap((term) => {
+    const regex = `(^|\\W)${escapeRegex(term)}`;
+    return [
+      { $cond: [{ $regexMatch: { input: '$title', regex, options: 'i' } }, 3, 0] },
+      {
+        $cond: [
+          {
+            $anyElementTrue: [{
+              $map: {
+                input: '$tags',
+                as: 'tag',
+                in: { $regexMatch: { input: '$$tag', regex: `^${escapeRegex(term)}`, options: 'i' } }
+              }
+            }]
+          },
+          2,
+          0
+        ]
+      },
+      { $cond: [{ $regexMatch: { input: '$description', regex, options: 'i' } }, 1, 0] }
+    ];
+  })
+});
+
+// Every term must start a word in the title or description, or start a tag
+const prefixMatch = (terms) => ({
+  $and: terms.map((term) => {
+    const wordStart = new RegExp(`(^|\\W)${escapeRegex(term)}`, 'i');
+    return {
+      $or: [
+        { title: wordStart },
+        { description: wordStart },
+        { tags: new RegExp(`^${escapeRegex(term)}`, 'i') }
+      ]
+    };
+  })
+});
+
+const SORT_STAGES = {
+  relevance: { score: -1, createdAt: -1 },
+  newest: { createdAt: -1 },
+  views: { views: -1, createdAt: -1 }
+};
+
+const runSearch = async ({ match, score, sort, skip, limit }) => {
+  const [result] = await Video.aggregate([
+    { $match: match },
+    { $addFields: { score } },
+    {
+      $facet: {
+        videos: [
+          { $sort: SORT_STAGES[sort] },
+          { $skip: skip },
+          { $limit: limit },
+          {
+            $lookup: {
+              from: 'users',
+              localField: 'uploadedBy',
+              foreignField: '_id',
+              as: 'uploader'
+            }
+          },
+          {
+            $project: {
+              title: 1,
+              description: 1,
+              hlsPrefix: 1,
+              thumbnail: 1,
+              tags: 1,
+              media: 1,
+              views: 1,
+              likes: 1,
+              comments: 1,
+              status: 1,
+              createdAt: 1,
+              score: 1,
+              uploadedBy: {
+                _id: '$uploadedBy',
+                name: { $arrayElemAt: ['$uploader.name', 0] }
+              }
+            }
+          }
+        ],
+        total: [{ $count: 'count' }],
+        tags: [
+          { $unwind: '$tags' },
+          { $group: { _id: '$tags', count: { $sum: 1 } } },
+          { $sort: { count: -1, _id: 1 } },
+          { $limit: FACET_TAG_LIMIT },
+          { $project: { _id: 0, tag: '$_id', count: 1 } }
+        ],
+        uploaders: [
+          { $group: { _id: '$uploadedBy', count: { $sum: 1 } } },
+          { $sort: { count: -1 } },
+          { $limit: FACET_UPLOADER_LIMIT },
+          {
+            $lookup: {
+              from: 'users',
+              localField: '_id',
+              foreignField: '_id',
+              as: 'user'
+            }
+          },
+          {
+            $project: {
+              _id: 0,
+              uploader: '$_id',
+              name: { $arrayElemAt: ['$user.name', 0] },
+              count: 1
+            }
+          }
+        ]
+      }
+    }
+  ]);
+
+  return {
+    videos: result.videos,
+    total: result.total[0]?.count || 0,
+    facets: { tags: result.tags, uploaders: result.uploaders }
+  };
+};
+
+/**
+ * Search videos by text and filters.
+ * Whole words go through the text index, which ranks title over tags over
+ * description; when that finds nothing the terms are retried as word prefixes
+ * so partially typed queries still match.
+ */
+exports.searchVideos = async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(parseInt(req.query.limit) || 10, MAX_LIMIT);
+    const q = String(req.query.q || '').trim();
+    const sort = req.query.sort || (q ? 'relevance' : 'newest');
+
+    if (!SORT_OPTIONS.includes(sort)) {
+      return res.status(400).json({ error: `Sort must be one of: ${SORT_OPTIONS.join(', ')}` });
+    }
+
+    // Filter on the tags that aliases stand for
+    const tags = await resolveTags(splitList(req.query.tags));
+
+    let filters;
+    try {
+      filters = buildFilters(req.query, req.user, tags);
+    } catch (validationError) {
+      return res.status(400).json({ error: validationError.message });
+    }
+
+    const options = { sort, skip: (page - 1) * limit, limit };
+    let mode = 'filter';
+    let result;
+
+    if (q) {
+      mode = 'text';
+      result = await runSearch({
+        ...options,
+        match: { ...filters, $text: { $search: q } },
+        score: { $meta: 'textScore' }
+      });
+
+      if (result.total === 0) {
+        const terms = q.split(/\s+/).slice(0, 10);
+        mode = 'prefix';
+        result = await runSearch({
+          ...options,
+          match: { ...filters, ...prefixMatch(terms) },
+          score: prefixScore(terms)
+        });
+      }
+    } else {
+      result = await runSearch({
+        ...options,
+        sort: sort === 'relevance' ? 'newest' : sort,
+        match: filters,
+        score: { $literal: 0 }
+      });
+    }
+
+    const likedIds = await likedVideoIds(req.user._id, result.videos.map(video => video._id));
+
+    res.json({
+      query: q,
+      mode,
+      videos: result.videos.map(({ media, ...video }) => ({
+        ...withPlaybackUrls(video),
+        duration: media?.duration ?? null,
+        resolution: media ? `${media.width}x${media.height}` : null,
+        likedByMe: likedIds.has(video._id.toString())
+      })),
+      facets: result.facets,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(result.total / limit),
+        totalVideos: result.total,
+        limit
+      }
+    });
+  } catch (error) {
+    logger.error('Search videos error', {
+      error: error.message,
+      stack: error.stack
+    });
+
+    res.status(500).json({
+      error: 'Failed to search videos',
+      details: error.message
+    });
+  }
+};
@@ -0,0 +1,322 @@
+const Video = require('../models/Video');
+const TagAlias = require('../models/TagAlias');
+const logger = require('../config/logger');
+const { likedVideoIds } = require('../services/likes');
+const { normalizeTag, resolveTag, renameTag, removeAlias } = require('../services/tags');
+const { withPlaybackUrls } = require('../services/playback');
+
+const MAX_AUTOCOMPLETE = 20;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Usage counts of tags on approved videos, optionally only those starting with `prefix`
+const countTags = ({ prefix, sort = 'count', skip = 0, limit }) => {
+  const tagMatch = prefix ? { tags: new RegExp(`^${escapeRegex(prefix)}`) } : {};
+
+  return Video.aggregate([
+    { $match: { status: 'approved', ...tagMatch } },
+    { $unwind: '$tags' },
+    { $match: tagMatch },
+    { $group: { _id: '$tags', count: { $sum: 1 } } },
+    { $sort: sort === 'name' ? { _id: 1 } : { count: -1, _id: 1 } },
+    {
+      $facet: {
+        tags: [
+          { $skip: skip },
+          { $limit: limit },
+          { $project: { _id: 0, tag: '$_id', count: 1 } }
+        ],
+        total: [{ $count: 'count' }]
+      }
+    }
+  ]).then(([result]) => ({
+    tags: result.tags,
+    total: result.total[0]?.count || 0
+  }));
+};
+
+exports.getTags = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+    const sort = req.query.sort === 'name' ? 'name' : 'count';
+    const prefix = normalizeTag(req.query.q);
+
+    const { tags, total } = await countTags({ prefix, sort, skip: (page - 1) * limit, limit });
+
+    res.json({
+      tags,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalTags: total,
+        limit
+      }
+    });
+  } catch (error) {
+    logger.error('Get tags error', {
+      error: error.message,
+      stack: error.stack
+    });
+
+    res.status(500).json({
+      error: 'Failed to retrieve tags',
+      details: error.message
+    });
+  }
+};
+
+// Suggest tags as the user types; aliases suggest the tag they stand for
+exports.autocompleteTags = async (req, res) => {
+  try {
+    const prefix = normalizeTag(req.query.q);
+    const limit = Math.min(parseInt(req.query.limit) || 10, MAX_AUTOCOMPLETE);
+
+    if (!prefix) {
+      return res.json({ suggestions: [] });
+    }
+
+    const [{ tags }, aliases] = await Promise.all([
+      countTags({ prefix, limit }),
+      TagAlias.find({ alias: new RegExp(`^${escapeRegex(prefix)}`) })
+        .select('alias tag')
+        .limit(limit)
+        .lean()
+    ]);
+
+    const suggestions = new Map(tags.map(({ tag, count }) => [tag, { tag, count }]));
+
+    const aliasTargets = aliases.map(({ tag }) => tag).filter(tag => !suggestions.has(tag));
+    if (aliasTargets.length > 0) {
+      const counts = await Video.aggregate([
+        { $match: { status: 'approved', tags: { $in: aliasTargets } } },
+        { $unwind: '$tags' },
+        { $match: { tags: { $in: aliasTargets } } },
+        { $group: { _id: '$tags', count: { $sum: 1 } } }
+      ]);
+      const countByTag = new Map(counts.map(({ _id, count }) => [_id, count]));
+
+      for (const { alias, tag } of aliases) {
+        if (!suggestions.has(tag)) {
+          suggestions.set(tag, { tag, count: countByTag.get(tag) || 0, matchedAlias: alias });
+        }
+      }
+    }
+
+    res.json({
+      suggestions: [...suggestions.values()]
+        .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag))
+        .slice(0, limit)
+    });
+  } catch (error) {
+    logger.error('Autocomplete tags error', {
+      error: error.message,
+      stack: error.stack
+    });
+
+    res.status(500).json({
+      error: 'Failed to autocomplete tags',
+      details: error.message
+    });
+  }
+};
+
+// A tag's page: its approved videos, newest first, and its aliases
+exports.getTag = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const requested = normalizeTag(req.params.tag);
+    const tag = await resolveTag(requested);
+
+    const query = { status: 'approved', tags: tag };
+
+    const [videos, total, aliases] = await Promise.all([
+      Video.find(query)
+        .select('title description thumbnail hlsPrefix tags media views likes comments uploadedBy createdAt')
+        .populate('uploadedBy', 'name')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      Video.countDocuments(query),
+      TagAlias.find({ tag }).select('alias').sort({ alias: 1 }).lean()
+    ]);
+
+    const likedIds = await likedVideoIds(req.user._id, videos.map(video => video._id));
+
+    res.json({
+      tag,
+      ...(requested !== tag && { resolvedFrom: requested }),
+      aliases: aliases.map(({ alias }) => alias),
+      count: total,
+      videos: videos.map(({ media, ...video }) => ({
+        ...withPlaybackUrls(video),
+        duration: media?.duration ?? null,
+        likedByMe: likedIds.has(video._id.toString())
+      })),
+      totalPages: Math.ceil(total / limit),
+      currentPage: page
+    });
+  } catch (error) {
+    logger.error('Get tag error', {
+      error: error.message,
+      stack: error.stack
+    });
+
+    res.status(500).json({
+      error: 'Failed to retrieve tag',
+      details: error.message
+    });
+  }
+};
+
+// Rename a tag on every video; `keepAlias` lets the old name keep resolving
+exports.renameTag = async (req, res) => {
+  try {
+    const from = normalizeTag(req.params.tag);
+    const into = await resolveTag(req.body.name);
+
+    if (!into) {
+      return res.status(400).json({ error: 'A new tag name is required' });
+    }
+    if (from === into) {
+      return res.status(400).json({ error: 'The new name must differ from the current one' });
+    }
+
+    const videosUpdated = await renameTag(from, into, {
+      alias: Boolean(req.body.keepAlias),
+      userId: req.user._id
+    });
+
+    logger.info('Tag renamed', { from, into, videosUpdated, admin: req.user._id });
+
+    res.json({ message: 'Tag renamed', from, to: into, videosUpdated });
+  } catch (error) {
+    logger.error('Rename tag error', {
+      error: error.message,
+      stack: error.stack
+    });
+
+    res.status(500).json({
+      error: 'Failed to rename tag',
+      details: error.message
+    });
+  }
+};
+
+// Fold several tags into one; the merged tags become aliases unless `keepAliases` is false
+exports.mergeTags = async (req, res) => {
+  try {
+    const into = await resolveTag(req.body.into);
+    const sources = [...new Set((Array.isArray(req.body.tags) ? req.body.tags : [])
+      .map(normalizeTag)
+      .filter(tag => tag && tag !== into))];
+
+    if (!into) {
+      return res.status(400).json({ error: 'A target tag (`into`) is required' });
+    }
+    if (sources.length === 0) {
+      return res.status(400).json({ error: 'At least one other tag to merge is required' });
+    }
+
+    let videosUpdated = 0;
+    for (const tag of sources) {
+      videosUpdated += await renameTag(tag, into, {
+        alias: req.body.keepAliases !== false,
+        userId: req.user._id
+      });
+    }
+
+    logger.info('Tags merged', { sources, into, videosUpdated, admin: req.user._id });
+
+    res.json({ message: 'Tags merged', merged: sources, into, videosUpdated });
+  } catch (error) {
+    logger.error('Merge tags error', {
+      error: error.message,
+      stack: error.stack
+    });
+
+    res.status(500).json({
+      error: 'Failed to merge tags',
+      details: error.message
+    });
+  }
+};
+
+exports.getAliases = async (req, res) => {
+  try {
+    const aliases = await TagAlias.find()
+      .select('alias tag createdBy createdAt')
+      .populate('createdBy', 'name')
+      .sort({ tag: 1, alias: 1 })
+      .lean();
+
+    res.json({ aliases });
+  } catch (error) {
+    logger.error('Get tag aliases error', {
+      error: error.message,
+      stack: error.stack
+    });
+
+    res.status(500).json({
+      error: 'Failed to retrieve tag aliases',
+      details: error.message
+    });
+  }
+};
+
+// Make one spelling resolve to another; videos using the alias are retagged
+exports.createAlias = async (req, res) => {
+  try {
+    const alias = normalizeTag(req.body.alias);
+    const tag = await resolveTag(req.body.tag);
+
+    if (!alias || !tag) {
+      return res.status(400).json({ error: 'Both `alias` and `tag` are required' });
+    }
+    if (alias === tag) {
+      return res.status(400).json({ error: 'A tag cannot be an alias of itself' });
+    }
+
+    const videosUpdated = await renameTag(alias, tag, { alias: true, userId: req.user._id });
+
+    logger.info('Tag alias created', { alias, tag, videosUpdated, admin: req.user._id });
+
+    res.status(201).json({ message: 'Alias created', alias, tag, videosUpdated });
+  } catch (error) {
+    logger.error('Create tag alias error', {
+      error: error.message,
+      stack: error.stack
+    });
+
+    res.status(500).json({
+      error: 'Failed to create tag alias',
+      details: error.message
+    });
+  }
+};
+
+exports.deleteAlias = async (req, res) => {
+  try {
+    const alias = normalizeTag(req.params.alias);
+
+    if (!(await removeAlias(alias))) {
+      return res.status(404).json({ error: 'Alias not found' });
+    }
+
+    logger.info('Tag alias removed', { alias, admin: req.user._id });
+
+    res.json({ message: 'Alias removed' });
+  } catch (error) {
+    logger.error('Delete tag alias error', {
+      error: error.message,
+      stack: error.stack
+    });
+
+    res.status(500).json({
+      error: 'Failed to delete tag alias',
+      details: error.message
+    });
+  }
+};
@@ -0,0 +1,437 @@
+const path = require('path');
+const { PassThrough, Transform } = require('stream');
+const mongoose = require('mongoose');
+const { v4: uuidv4 } = require('uuid');
+const UploadSession = require('../models/UploadSession');
+const Video = require('../models/Video');
+const logger = require('../config/logger');
+const { getStorage, buildKey } = require('../services/storage');
+const { enqueueVideoProcessing } = require('../services/jobs');
+const { extractVideoMetadata, isUnplayable, withLocalCopy } = require('../services/media');
+const { validateVideoDetails, VIDEO_MIME_TYPES } = require('../services/validation');
+const { resolveTags } = require('../services/tags');
+const { streamUrlFor } = require('../services/playback');
+const { deleteChunks } = require('../services/uploads');
+
+const SESSION_TTL_HOURS = parseInt(process.env.UPLOAD_SESSION_TTL_HOURS) || 24;
+const MAX_CHUNK_SIZE = parseInt(process.env.UPLOAD_MAX_CHUNK_SIZE) || 64 * 1024 * 1024; // 64 MB
+const RECOMMENDED_CHUNK_SIZE = 8 * 1024 * 1024; // 8 MB
+
+// Shape of an upload session returned to clients
+const formatSession = (session) => ({
+  uploadId: session._id,
+  offset: session.received,
+  size: session.size,
+  status: session.status,
+  video: session.video,
+  expiresAt: session.expiresAt
+});
+
+// Find an upload session owned by the current user
+const findSession = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.uploadId)) {
+    res.status(400).json({ error: 'Invalid upload ID' });
+    return null;
+  }
+
+  const session = await UploadSession.findOne({
+    _id: req.params.uploadId,
+    user: req.user._id
+  });
+
+  if (!session) {
+    res.status(404).json({ error: 'Upload session not found' });
+    return null;
+  }
+
+  if (session.status === 'active' && session.expiresAt < new Date()) {
+    res.status(410).json({ error: 'Upload session has expired' });
+    return null;
+  }
+
+  return session;
+};
+
+// Count bytes passing through, failing once more than `limit` bytes arrive
+const createByteCounter = (limit) => {
+  const counter = new Transform({
+    transform(chunk, encoding, callback) {
+      counter.bytes += chunk.length;
+      if (counter.bytes > limit) {
+        callback(new Error(`Chunk exceeds the allowed size of ${limit} bytes`));
+      } else {
+        callback(null, chunk);
+      }
+    }
+  });
+  counter.bytes = 0;
+  return counter;
+};
+
+// Stream stored chunks back to back into a single readable stream
+const concatenateChunks = (storage, chunks) => {
+  const output = new PassThrough();
+
+  (async () => {
+    for (const chunk of chunks) {
+      const { stream } = await storage.get(chunk.key);
+      await new Promise((resolve, reject) => {
+        stream.on('end', resolve).on('error', reject);
+        stream.pipe(output, { end: false });
+      });
+    }
+    output.end();
+  })().catch(error => output.destroy(error));
+
+  return output;
+};
+
+exports.createUploadSession = async (req, res) => {
+  try {
+    const { filename, mimetype, title, description, tags } = req.body;
+    const size = parseInt(req.body.size);
+
+    if (!filename) {
+      return res.status(400).json({ error: 'Filename is required' });
+    }
+
+    if (!VIDEO_MIME_TYPES.includes(mimetype)) {
+      return res.status(400).json({
+        error: 'Invalid file type. Only MP4, MPEG and QuickTime videos are allowed.'
+      });
+    }
+
+    if (!size || size < 1) {
+      return res.status(400).json({ error: 'File size must be a positive number of bytes' });
+    }
+
+    let sanitizedTags;
+    try {
+      sanitizedTags = validateVideoDetails({ title, description, tags });
+    } catch (validationError) {
+      return res.status(400).json({ error: validationError.message });
+    }
+
+    // Store aliases under the tag they stand for
+    sanitizedTags = await resolveTags(sanitizedTags);
+
+    const session = await UploadSession.create({
+      user: req.user._id,
+      filename: path.basename(filename),
+      mimetype,
+      size,
+      title,
+      description,
+      tags: sanitizedTags,
+      expiresAt: new Date(Date.now() + SESSION_TTL_HOURS * 60 * 60 * 1000)
+    });
+
+    logger.info('Upload session created', {
+      uploadId: session._id,
+      user: req.user._id,
+      size
+    });
+
+    res.status(201)
+      .location(`${req.baseUrl}/uploads/${session._id}`)
+      .json({
+        message: 'Upload session created',
+        upload: formatSession(session),
+        chunkSize: RECOMMENDED_CHUNK_SIZE,
+        maxChunkSize: MAX_CHUNK_SIZE
+      });
+  } catch (error) {
+    logger.error('Create upload session error', {
+      error: error.message,
+      stack: error.stack
+    });
+
+    res.status(500).json({
+      error: 'Failed to create upload session',
+      details: error.message
+    });
+  }
+};
+
+exports.getUploadStatus = async (req, res) => {
+  try {
+    const session = await findSession(req, res);
+    if (!session) return;
+
+    res.set({
+      'Upload-Offset': session.received,
+      'Upload-Length': session.size,
+      'Cache-Control': 'no-store'
+    });
+    res.json({ upload: formatSession(session) });
+  } catch (error) {
+    logger.error('Get upload status error', {
+      error: error.message,
+      stack: error.stack
+    });
+
+    res.status(500).json({
+      error: 'Failed to retrieve upload status',
+      details: error.message
+    });
+  }
+};
+
+exports.uploadChunk = async (req, res) => {
+  try {
+    const session = await findSession(req, res);
+    if (!session) return;
+
+    if (session.status !== 'active') {
+      return res.status(409).json({
+        error: 'Upload session is not accepting chunks',
+        status: session.status
+      });
+    }
+
+    const offset = parseInt(req.get('Upload-Offset') ?? req.query.offset);
+    if (offset !== session.received) {
+      return res.status(409)
+        .set('Upload-Offset', session.received)
+        .json({
+          error: 'Chunk offset does not match received bytes',
+          offset: session.received
+        });
+    }
+
+    const storage = getStorage();
+    // Unique per request, so a losing concurrent request never clobbers the accepted chunk
+    const key = `chunks/${session._id}/${String(offset).padStart(15, '0')}-${uuidv4()}`;
+    const counter = createByteCounter(Math.min(MAX_CHUNK_SIZE, session.size - offset));
+
+    req.on('aborted', () => counter.destroy(new Error('Client aborted the chunk upload')));
+    req.on('error', error => counter.destroy(error));
+
+    try {
+      await storage.put(key, req.pipe(counter), { contentType: 'application/octet-stream' });
+    } catch (chunkError) {
+      await storage.delete(key);
+      return res.status(400).json({
+        error: 'Failed to store chunk',
+        details: chunkError.message
+      });
+    }
+
+    if (counter.bytes === 0) {
+      await storage.delete(key);
+      return res.status(400).json({ error: 'Chunk body is empty' });
+    }
+
+    // Only accept the chunk if no other request advanced the offset meanwhile
+    const updated = await UploadSession.findOneAndUpdate(
+      { _id: session._id, status: 'active', received: offset },
+      {
+        $inc: { received: counter.bytes },
+        $push: { chunks: { offset, size: counter.bytes, key } }
+      },
+      { new: true }
+    );
+
+    if (!updated) {
+      await storage.delete(key);
+      const current = await UploadSession.findById(session._id);
+      return res.status(409)
+        .set('Upload-Offset', current.received)
+        .json({
+          error: 'Chunk offset does not match received bytes',
+          offset: current.received
+        });
+    }
+
+    res.set('Upload-Offset', updated.received);
+    res.json({
+      upload: formatSession(updated),
+      complete: updated.received === updated.size
+    });
+  } catch (error) {
+    logger.error('Upload chunk error', {
+      error: error.message,
+      stack: error.stack
+    });
+
+    res.status(500).json({
+      error: 'Failed to upload chunk',
+      details: error.message
+    });
+  }
+};
+
+exports.completeUpload = async (req, res) => {
+  let session;
+  // Objects written while finalizing, removed again if it fails
+  let storedVideo = null;
+  let storedThumbnail = null;
+
+  try {
+    session = await findSession(req, res);
+    if (!session) return;
+
+    if (session.status === 'completed') {
+      return res.status(409).json({
+        error: 'Upload already completed',
+        video: session.video
+      });
+    }
+
+    // Claim the session so a concurrent request cannot finalize it twice
+    session = await UploadSession.findOneAndUpdate(
+      { _id: session._id, status: 'active', received: session.size },
+      { status: 'completing' },
+      { new: true }
+    );
+
+    if (!session) {
+      return res.status(409).json({ error: 'Upload is incomplete or already being finalized' });
+    }
+
+    const storage = getStorage();
+    const chunks = [...session.chunks].sort((a, b) => a.offset - b.offset);
+
+    storedVideo = await storage.put(
+      buildKey('videos', session.filename),
+      concatenateChunks(storage, chunks),
+      { contentType: session.mimetype }
+    );
+
+    // Reject files that are not playable video, whatever their declared type
+    let media;
+    try {
+      media = await withLocalCopy(storedVideo.key, extractVideoMetadata);
+    } catch (mediaError) {
+      // Storage and disk errors leave the upload intact for a retry (see the catch below)
+      if (!isUnplayable(mediaError)) throw mediaError;
+
+      logger.warn('Rejected unplayable chunked upload', {
+        uploadId: session._id,
+        error: mediaError.message
+      });
+
+      await storage.delete(storedVideo.key);
+      await deleteChunks(storage, session.chunks);
+      session.status = 'aborted';
+      session.chunks = [];
+      await session.save();
+
+      return res.status(400).json({ error: mediaError.message });
+    }
+
+    // Store provided thumbnail; otherwise one is generated in the background
+    if (req.file) {
+      storedThumbnail = await storage.put(
+        buildKey('thumbnails', req.file.originalname),
+        req.file.buffer,
+        { contentType: req.file.mimetype }
+      );
+    }
+
+    const video = await Video.create({
+      title: session.title,
+      description: session.description,
+      url: storedVideo.url,
+      storageKey: storedVideo.key,
+      thumbnail: storedThumbnail?.url || null,
+      thumbnailKey: storedThumbnail?.key || null,
+      media,
+      tags: session.tags,
+      uploadedBy: req.user._id,
+      status: req.user.role === 'admin' ? 'approved' : 'pending',
+      processingStatus: 'processing'
+    });
+
+    // The chunks are only needed until the video exists
+    const assembledChunks = session.chunks;
+    session.status = 'completed';
+    session.video = video._id;
+    session.chunks = [];
+    await session.save();
+
+    await deleteChunks(storage, assembledChunks).catch((chunkError) => {
+      logger.error('Failed to delete upload chunks', {
+        uploadId: session._id,
+        error: chunkError.message
+      });
+    });
+
+    await enqueueVideoProcessing(video);
+
+    logger.info('Chunked video upload completed', {
+      uploadId: session._id,
+      videoId: video._id
+    });
+
+    res.status(201).json({
+      message: 'Video uploaded successfully',
+      video: {
+        id: video._id,
+        title: video.title,
+        streamUrl: streamUrlFor(video._id),
+        thumbnail: video.thumbnail,
+        tags: video.tags,
+        status: video.status,
+        processingStatus: video.processingStatus,
+        media: video.media
+      }
+    });
+  } catch (error) {
+    logger.error('Complete upload error', {
+      error: error.message,
+      stack: error.stack
+    });
+
+    // The chunks are kept until the video record exists, so drop what was assembled
+    // and let the client retry finalizing
+    if (session?.status === 'completing') {
+      const storage = getStorage();
+      for (const stored of [storedVideo, storedThumbnail]) {
+        if (stored) await storage.delete(stored.key).catch(() => {});
+      }
+
+      await UploadSession.updateOne(
+        { _id: session._id, status: 'completing' },
+        { status: 'active' }
+      ).catch(() => {});
+    }
+
+    res.status(500).json({
+      error: 'Failed to complete upload',
+      details: error.message
+    });
+  }
+};
+
+exports.abortUpload = async (req, res) => {
+  try {
+    const session = await findSession(req, res);
+    if (!session) return;
+
+    if (session.status !== 'active') {
+      return res.status(409).json({
+        error: 'Only active uploads can be aborted',
+        status: session.status
+      });
+    }
+
+    await deleteChunks(getStorage(), session.chunks);
+
+    session.status = 'aborted';
+    session.chunks = [];
+    await session.save();
+
+    res.json({ message: 'Upload aborted' });
+  } catch (error) {
+    logger.error('Abort upload error', {
+      error: error.message,
+      stack: error.stack
+    });
+
+    res.status(500).json({
+      error: 'Failed to abort upload',
+      details: error.message
+    });
+  }
+};
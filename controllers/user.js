@@ -0,0 +1,676 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Video = require('../models/Video');
+const Comment = require('../models/Comment');
+const Like = require('../models/Like');
+const Follow = require('../models/Follow');
+const logger = require('../config/logger');
+const { revokeAllSessions } = require('../services/session');
+const { issueToken } = require('../services/authToken');
+const { sendPasswordResetEmail } = require('../services/emails');
+const { followUser, unfollowUser, followedUserIds } = require('../services/follows');
+const { validateOptionalText } = require('../services/validation');
+
+const MAX_APPLICATION_LENGTH = 1000;
+const ROLES = ['admin', 'creator', 'consumer'];
+
+// Fields admins see when managing users
+const ADMIN_USER_FIELDS = 'name email role emailVerified bio avatarUrl suspension passwordResetRequired creatorApplication createdAt';
+
+// Fields anyone can see on a user's profile
+const PUBLIC_USER_FIELDS = 'name bio avatarUrl role followerCount followingCount createdAt';
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const validateUserId = (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({ error: 'Invalid user ID' });
+    return false;
+  }
+  return true;
+};
+
+// Apply for the creator role
+exports.applyForCreator = async (req, res) => {
+  try {
+    let message;
+    try {
+      message = validateOptionalText(req.body.message, 'Message');
+    } catch (validationError) {
+      return res.status(400).json({ error: validationError.message });
+    }
+
+    if (!message) {
+      return res.status(400).json({ error: 'Tell us what you plan to upload' });
+    }
+    if (message.length > MAX_APPLICATION_LENGTH) {
+      return res.status(400).json({ error: `Message cannot exceed ${MAX_APPLICATION_LENGTH} characters` });
+    }
+
+    // Consumers without an open application may apply, including after a rejection
+    const user = await User.findOneAndUpdate(
+      {
+        _id: req.user._id,
+        role: 'consumer',
+        'creatorApplication.status': { $ne: 'pending' }
+      },
+      {
+        creatorApplication: {
+          status: 'pending',
+          message,
+          appliedAt: new Date()
+        }
+      },
+      { new: true }
+    ).select('creatorApplication');
+
+    if (!user) {
+      return res.status(409).json({
+        error: req.user.role === 'consumer'
+          ? 'You already have a pending application'
+          : 'Only consumers can apply for the creator role'
+      });
+    }
+
+    logger.info('Creator application submitted', { user: req.user._id });
+
+    res.status(201).json({
+      message: 'Creator application submitted',
+      application: user.creatorApplication
+    });
+  } catch (error) {
+    logger.error('Creator application error', {
+      error: error.message,
+      stack: error.stack
+    });
+
+    res.status(500).json({
+      error: 'Failed to submit creator application',
+      details: error.message
+    });
+  }
+};
+
+// The current user's creator application
+exports.getMyCreatorApplication = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('role creatorApplication').lean();
+
+    if (!user.creatorApplication?.status) {
+      return res.status(404).json({ error: 'No creator application found' });
+    }
+
+    res.json({ role: user.role, application: user.creatorApplication });
+  } catch (error) {
+    logger.error('Get creator application error', {
+      error: error.message,
+      stack: error.stack
+    });
+
+    res.status(500).json({
+      error: 'Failed to retrieve creator application',
+      details: error.message
+    });
+  }
+};
+
+exports.getCreatorApplications = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const status = req.query.status || 'pending';
+
+    const query = { 'creatorApplication.status': status };
+
+    // Oldest applications first
+    const users = await User.find(query)
+      .select('name email role creatorApplication')
+      .sort({ 'creatorApplication.appliedAt': 1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean();
+
+    const total = await User.countDocuments(query);
+
+    res.json({
+      applications: users,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page
+    });
+  } catch (error) {
+    logger.error('Get creator applications error', {
+      error: error.message,
+      stack: error.stack
+    });
+
+    res.status(500).json({
+      error: 'Failed to retrieve creator applications',
+      details: error.message
+    });
+  }
+};
+
+// Grant the creator role, with or without a pending application
+exports.approveCreatorApplication = async (req, res) => {
+  try {
+    if (!validateUserId(req, res)) return;
+
+    let note;
+    try {
+      note = validateOptionalText(req.body.note, 'Note');
+    } catch (validationError) {
+      return res.status(400).json({ error: validationError.message });
+    }
+
+    const user = await User.findOneAndUpdate(
+      { _id: req.params.id, role: 'consumer' },
+      {
+        role: 'creator',
+        'creatorApplication.status': 'approved',
+        'creatorApplication.reviewedBy': req.user._id,
+        'creatorApplication.reviewedAt': new Date(),
+        'creatorApplication.reviewNote': note || null
+      },
+      { new: true }
+    ).select('name email role creatorApplication');
+
+    if (!user) {
+      const exists = await User.exists({ _id: req.params.id });
+      return exists
+        ? res.status(409).json({ error: 'Only consumers can be made creators' })
+        : res.status(404).json({ error: 'User not found' });
+    }
+
+    logger.info('Creator role granted', { user: user._id, admin: req.user._id });
+
+    res.json({ message: 'Creator role granted', user });
+  } catch (error) {
+    logger.error('Approve creator application error', {
+      error: error.message,
+      stack: error.stack
+    });
+
+    res.status(500).json({
+      error: 'Failed to approve creator application',
+      details: error.message
+    });
+  }
+};
+
+exports.rejectCreatorApplication = async (req, res) => {
+  try {
+    if (!validateUserId(req, res)) return;
+
+    let note;
+    try {
+      note = validateOptionalText(req.body.note, 'Note');
+    } catch (validationError) {
+      return res.status(400).json({ error: validationError.message });
+    }
+    if (!note) {
+      return res.status(400).json({ error: 'A reason is required to reject an application' });
+    }
+
+    const user = await User.findOneAndUpdate(
+      { _id: req.params.id, 'creatorApplication.status': 'pending' },
+      {
+        'creatorApplication.status': 'rejected',
+        'creatorApplication.reviewedBy': req.user._id,
+        'creatorApplication.reviewedAt': new Date(),
+        'creatorApplication.reviewNote': note
+      },
+      { new: true }
+    ).select('name email role creatorApplication');
+
+    if (!user) {
+      return res.status(404).json({ error: 'No pending application for this user' });
+    }
+
+    logger.info('Creator application rejected', { user: user._id, admin: req.user._id });
+
+    res.json({ message: 'Creator application rejected', user });
+  } catch (error) {
+    logger.error('Reject creator application error', {
+      error: error.message,
+      stack: error.stack
+    });
+
+    res.status(500).json({
+      error: 'Failed to reject creator application',
+      details: error.message
+    });
+  }
+};
+
+exports.getUsers = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const { q, role, state } = req.query;
+
+    // Repeated parameters arrive as arrays
+    if (q !== undefined && typeof q !== 'string') {
+      return res.status(400).json({ error: 'Search query must be a single string' });
+    }
+    if (role && !ROLES.includes(role)) {
+      return res.status(400).json({ error: `Role must be one of: ${ROLES.join(', ')}` });
+    }
+
+    const query = {};
+
+    // Case-insensitive search over name and email
+    if (q?.trim()) {
+      const pattern = new RegExp(escapeRegex(q.trim()), 'i');
+      query.$or = [{ name: pattern }, { email: pattern }];
+    }
+
+    if (role) query.role = role;
+
+    const now = new Date();
+    const activeSuspension = {
+      'suspension.type': { $exists: true },
+      $or: [{ 'suspension.until': null }, { 'suspension.until': { $gt: now } }]
+    };
+    if (state === 'suspended' || state === 'banned') {
+      query.$and = [activeSuspension, { 'suspension.type': state }];
+    } else if (state === 'active') {
+      query.$nor = [activeSuspension];
+    }
+
+    const users = await User.find(query)
+      .select(ADMIN_USER_FIELDS)
+      .sort({ createdAt: -1, _id: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean();
+
+    const total = await User.countDocuments(query);
+
+    res.json({
+      users,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalUsers: total,
+        limit
+      }
+    });
+  } catch (error) {
+    logger.error('Get users error', {
+      error: error.message,
+      stack: error.stack
+    });
+
+    res.status(500).json({
+      error: 'Failed to retrieve users',
+      details: error.message
+    });
+  }
+};
+
+// A user's profile with their uploads, comments and likes
+exports.getUserActivity = async (req, res) => {
+  try {
+    if (!validateUserId(req, res)) return;
+
+    const user = await User.findById(req.params.id).select(ADMIN_USER_FIELDS).lean();
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const [uploadCount, uploads, commentCount, comments, likeCount, likes] = await Promise.all([
+      Video.countDocuments({ uploadedBy: user._id }),
+      Video.find({ uploadedBy: user._id })
+        .select('title status views likes createdAt')
+        .sort({ createdAt: -1 })
+        .limit(10)
+        .lean(),
+      Comment.countDocuments({ user: user._id }),
+      Comment.find({ user: user._id })
+        .select('text video createdAt')
+        .populate('video', 'title')
+        .sort({ createdAt: -1 })
+        .limit(10)
+        .lean(),
+      Like.countDocuments({ user: user._id }),
+      Like.find({ user: user._id })
+        .select('video createdAt')
+        .populate('video', 'title')
+        .sort({ createdAt: -1 })
+        .limit(10)
+        .lean()
+    ]);
+
+    res.json({
+      user,
+      activity: {
+        uploads: { total: uploadCount, recent: uploads },
+        comments: { total: commentCount, recent: comments },
+        likes: { total: likeCount, recent: likes }
+      }
+    });
+  } catch (error) {
+    logger.error('Get user activity error', {
+      error: error.message,
+      stack: error.stack
+    });
+
+    res.status(500).json({
+      error: 'Failed to retrieve user activity',
+      details: error.message
+    });
+  }
+};
+
+exports.changeUserRole = async (req, res) => {
+  try {
+    if (!validateUserId(req, res)) return;
+
+    const { role } = req.body;
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({ error: `Role must be one of: ${ROLES.join(', ')}` });
+    }
+
+    if (req.params.id === req.user._id.toString()) {
+      return res.status(400).json({ error: 'You cannot change your own role' });
+    }
+
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const previousRole = user.role;
+    user.role = role;
+    await user.save();
+
+    logger.info('User role changed', {
+      user: user._id,
+      from: previousRole,
+      to: role,
+      admin: req.user._id
+    });
+
+    res.json({
+      message: 'Role updated',
+      user: { id: user._id, name: user.name, email: user.email, role: user.role }
+    });
+  } catch (error) {
+    logger.error('Change user role error', {
+      error: error.message,
+      stack: error.stack
+    });
+
+    res.status(500).json({
+      error: 'Failed to change user role',
+      details: error.message
+    });
+  }
+};
+
+// Suspend or ban a user, optionally until a given date, and sign them out everywhere
+const restrictUser = (type) => async (req, res) => {
+  try {
+    if (!validateUserId(req, res)) return;
+
+    let reason;
+    try {
+      reason = validateOptionalText(req.body.reason, 'Reason');
+    } catch (validationError) {
+      return res.status(400).json({ error: validationError.message });
+    }
+    if (!reason) {
+      return res.status(400).json({ error: 'A reason is required' });
+    }
+
+    let until = null;
+    if (req.body.until) {
+      until = new Date(req.body.until);
+      if (Number.isNaN(until.getTime()) || until <= new Date()) {
+        return res.status(400).json({ error: 'Expiry must be a date in the future' });
+      }
+    }
+
+    if (req.params.id === req.user._id.toString()) {
+      return res.status(400).json({ error: 'You cannot restrict your own account' });
+    }
+
+    const user = await User.findOneAndUpdate(
+      { _id: req.params.id, role: { $ne: 'admin' } },
+      {
+        suspension: {
+          type,
+          reason,
+          until,
+          by: req.user._id,
+          at: new Date()
+        }
+      },
+      { new: true }
+    ).select(ADMIN_USER_FIELDS);
+
+    if (!user) {
+      const exists = await User.exists({ _id: req.params.id });
+      return exists
+        ? res.status(400).json({ error: 'Admins cannot be suspended or banned; change their role first' })
+        : res.status(404).json({ error: 'User not found' });
+    }
+
+    await revokeAllSessions(user._id, type === 'banned' ? 'Account banned' : 'Account suspended');
+
+    logger.info(`User ${type}`, { user: user._id, until, admin: req.user._id });
+
+    res.json({ message: type === 'banned' ? 'User banned' : 'User suspended', user });
+  } catch (error) {
+    logger.error('Restrict user error', {
+      error: error.message,
+      stack: error.stack
+    });
+
+    res.status(500).json({
+      error: `Failed to ${type === 'banned' ? 'ban' : 'suspend'} user`,
+      details: error.message
+    });
+  }
+};
+
+exports.suspendUser = restrictUser('suspended');
+
+exports.banUser = restrictUser('banned');
+
+exports.liftSuspension = async (req, res) => {
+  try {
+    if (!validateUserId(req, res)) return;
+
+    const user = await User.findByIdAndUpdate(
+      req.params.id,
+      { $unset: { suspension: 1 } },
+      { new: true }
+    ).select(ADMIN_USER_FIELDS);
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    logger.info('User suspension lifted', { user: user._id, admin: req.user._id });
+
+    res.json({ message: 'Suspension lifted', user });
+  } catch (error) {
+    logger.error('Lift suspension error', {
+      error: error.message,
+      stack: error.stack
+    });
+
+    res.status(500).json({
+      error: 'Failed to lift suspension',
+      details: error.message
+    });
+  }
+};
+
+// Sign the user out and require a new password, sending them a reset link
+exports.forcePasswordReset = async (req, res) => {
+  try {
+    if (!validateUserId(req, res)) return;
+
+    const user = await User.findByIdAndUpdate(
+      req.params.id,
+      { passwordResetRequired: true },
+      { new: true }
+    );
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    await revokeAllSessions(user._id, 'Password reset required by admin');
+
+    const resetToken = await issueToken(user, 'password-reset');
+    await sendPasswordResetEmail(user, resetToken);
+
+    logger.info('Password reset forced', { user: user._id, admin: req.user._id });
+
+    res.json({ message: 'User signed out and sent a password reset link' });
+  } catch (error) {
+    logger.error('Force password reset error', {
+      error: error.message,
+      stack: error.stack
+    });
+
+    res.status(500).json({
+      error: 'Failed to force password reset',
+      details: error.message
+    });
+  }
+};
+
+// A user's public profile with follower counts
+exports.getUserProfile = async (req, res) => {
+  try {
+    if (!validateUserId(req, res)) return;
+
+    const user = await User.findById(req.params.id).select(PUBLIC_USER_FIELDS).lean();
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const [followed, uploadCount] = await Promise.all([
+      followedUserIds(req.user._id, [user._id]),
+      Video.countDocuments({ uploadedBy: user._id, status: 'approved' })
+    ]);
+
+    res.json({
+      user: {
+        ...user,
+        uploadCount,
+        followedByMe: followed.has(user._id.toString())
+      }
+    });
+  } catch (error) {
+    logger.error('Get user profile error', {
+      error: error.message,
+      stack: error.stack
+    });
+
+    res.status(500).json({
+      error: 'Failed to retrieve user profile',
+      details: error.message
+    });
+  }
+};
+
+// Follow or unfollow a user; both are idempotent
+const changeFollow = (action) => async (req, res) => {
+  try {
+    if (!validateUserId(req, res)) return;
+
+    if (req.params.id === req.user._id.toString()) {
+      return res.status(400).json({ error: 'You cannot follow yourself' });
+    }
+
+    if (!(await User.exists({ _id: req.params.id }))) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const { following, followerCount, followingCount } = await action(req.user._id, req.params.id);
+
+    res.json({
+      message: following ? 'User followed' : 'User unfollowed',
+      following,
+      followerCount,
+      followingCount
+    });
+  } catch (error) {
+    logger.error('Follow user error', {
+      error: error.message,
+      stack: error.stack
+    });
+
+    res.status(500).json({
+      error: 'Failed to update follow',
+      details: error.message
+    });
+  }
+};
+
+exports.followUser = changeFollow(followUser);
+
+exports.unfollowUser = changeFollow(unfollowUser);
+
+// Page through a user's followers or the users they follow, most recent first
+const listFollows = (direction) => async (req, res) => {
+  try {
+    if (!validateUserId(req, res)) return;
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    // Followers are found by who they follow, and the other way round
+    const [matchField, userField] = direction === 'followers'
+      ? ['following', 'follower']
+      : ['follower', 'following'];
+    const query = { [matchField]: req.params.id };
+
+    const user = await User.findById(req.params.id).select('followerCount followingCount').lean();
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const follows = await Follow.find(query)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate(userField, PUBLIC_USER_FIELDS)
+      .lean();
+
+    const users = follows.filter(follow => follow[userField]);
+    const followed = await followedUserIds(req.user._id, users.map(follow => follow[userField]._id));
+    const total = direction === 'followers' ? user.followerCount : user.followingCount;
+
+    res.json({
+      [direction]: users.map(follow => ({
+        ...follow[userField],
+        followedByMe: followed.has(follow[userField]._id.toString()),
+        followedAt: follow.createdAt
+      })),
+      followerCount: user.followerCount,
+      followingCount: user.followingCount,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page
+    });
+  } catch (error) {
+    logger.error('List follows error', {
+      direction,
+      error: error.message,
+      stack: error.stack
+    });
+
+    res.status(500).json({
+      error: `Failed to retrieve ${direction}`,
+      details: error.message
+    });
+  }
+};
+
+exports.getFollowers = listFollows('followers');
+
+exports.getFollowing = listFollows('following');
@@ -1,107 +1,34 @@
-const { BlobServiceClient } = require('@azure/storage-blob');
+const fs = require('fs');
 const Video = require('../models/Video');
 const User = require('../models/User');
 const mongoose = require('mongoose');
 const Comment = require('../models/Comment');
-const { v4: uuidv4 } = require('uuid');
-const ffmpeg = require('fluent-ffmpeg');
-const path = require('path');
-const sharp = require('sharp');
-const winston = require('winston');
-
-// Configure Winston logger
-const logger = winston.createLogger({
-  level: 'info',
-  format: winston.format.combine(
-    winston.format.timestamp(),
-    winston.format.json()
-  ),
-  transports: [
-    new winston.transports.File({ filename: 'error.log', level: 'error' }),
-    new winston.transports.File({ filename: 'combined.log' }),
-    new winston.transports.Console({
-      format: winston.format.simple()
-    })
-  ]
-});
-
-// Azure Blob Storage Configuration
-const blobServiceClient = BlobServiceClient.fromConnectionString(
-  process.env.AZURE_STORAGE_CONNECTION_STRING
-);
-const containerClient = blobServiceClient.getContainerClient(
-  process.env.AZURE_STORAGE_CONTAINER
-);
-
-// Helper function to generate thumbnail from buffer using Sharp
-const generateThumbnailFromBuffer = async (videoBuffer) => {
+const Like = require('../models/Like');
+const CommentReaction = require('../models/CommentReaction');
+const TrendingEntry = require('../models/TrendingEntry');
+const WatchHistory = require('../models/WatchHistory');
+const Playlist = require('../models/Playlist');
+const Notification = require('../models/Notification');
+const logger = require('../config/logger');
+const { getStorage, buildKey, isNotFound } = require('../services/storage');
+const { enqueueVideoProcessing } = require('../services/jobs');
+const { extractVideoMetadata, isUnplayable } = require('../services/media');
+const { validateVideoDetails } = require('../services/validation');
+const { resolveTag, resolveTags } = require('../services/tags');
+const { recordActivity } = require('../services/trending');
+const { likeVideo, unlikeVideo, toggleLike, likedVideoIds } = require('../services/likes');
+const { followingIds } = require('../services/follows');
+const { streamUrlFor, withPlaybackUrls } = require('../services/playback');
+const { removeCommentReports } = require('../services/commentReports');
+
+// Helper function to upload a buffer or stream to the configured storage backend
+const uploadFile = async (body, folder, originalname, mimetype) => {
   try {
-    // Use ffmpeg to extract first frame
-    return new Promise((resolve, reject) => {
-      ffmpeg(videoBuffer)
-        .inputOptions(['-f', 'rawvideo', '-vcodec', 'rawvideo'])
-        .outputOptions([
-          '-vf', 'select=eq(n\\,0)', // Select first frame
-          '-vframes', '1', // Limit to 1 frame
-          '-f', 'image2pipe', // Output as image pipe
-          '-vcodec', 'png' // Output as PNG
-        ])
-        .on('error', (err) => {
-          logger.error('Thumbnail generation error', { error: err.message });
-          reject(err);
-        })
-        .pipe((thumbnailBuffer) => {
-          // Resize thumbnail using Sharp
-          sharp(thumbnailBuffer)
-            .resize(320, 240, {
-              fit: sharp.fit.cover,
-              position: sharp.strategy.attention
-            })
-            .toBuffer((err, processedBuffer) => {
-              if (err) {
-                reject(err);
-              } else {
-                resolve(processedBuffer);
-              }
-            });
-        });
+    return await getStorage().put(buildKey(folder, originalname), body, {
+      contentType: mimetype
     });
-  } catch (error) {
-    logger.error('Thumbnail generation failed', { error: error.message });
-    throw error;
-  }
-};
-
-// Helper function to upload buffer to Azure Blob Storage
-const uploadBufferToAzure = async (buffer, folder, originalname, mimetype) => {
-  try {
-    logger.info('Starting Azure upload', { 
-      folder, 
-      originalname, 
-      mimeType: mimetype,
-      bufferSize: buffer.length 
-    });
-
-    const blobName = `${folder}/${uuidv4()}-${originalname}`;
-    const blockBlobClient = containerClient.getBlockBlobClient(blobName);
-
-    // Upload directly from buffer
-    const uploadResponse = await blockBlobClient.uploadData(buffer, {
-      blobHTTPHeaders: { 
-        blobContentType: mimetype 
-      },
-      maxConcurrency: 5, // Increase concurrency
-      maxSingleShotSize: 4 * 1024 * 1024 // 4MB chunks
-    });
-
-    logger.info('Azure upload completed', { 
-      blobUrl: blockBlobClient.url,
-      uploadResponse 
-    });
-
-    return blockBlobClient.url;
   } catch (uploadError) {
-    logger.error('Azure upload error', { 
+    logger.error('Storage upload error', { 
       error: uploadError.message,
       stack: uploadError.stack 
     });
@@ -109,38 +36,25 @@ const uploadBufferToAzure = async (buffer, folder, originalname, mimetype) => {
   }
 };
 
-// Validate and sanitize tags
-const validateAndSanitizeTags = (tagsInput) => {
-  if (!tagsInput) {
-    throw new Error('Tags are required');
-  }
-
-  // Handle both string and array inputs
-  const tagsArray = Array.isArray(tagsInput) 
-    ? tagsInput 
-    : tagsInput.split(',');
-
-  // Sanitize and validate tags
-  const sanitizedTags = tagsArray
-    .map(tag => tag.trim().toLowerCase())
-    .filter(tag => tag.length > 0);
-
-  if (sanitizedTags.length === 0) {
-    throw new Error('At least one valid tag is required');
-  }
+// Whether the user uploaded the video (works with populated or raw uploadedBy)
+const isUploader = (user, video) => {
+  const uploaderId = video.uploadedBy?._id || video.uploadedBy;
+  return !!uploaderId && uploaderId.toString() === user._id.toString();
+};
 
-  if (sanitizedTags.length > 10) {
-    throw new Error('Maximum of 10 tags allowed');
-  }
+// Admins see everything; everyone else sees approved videos and their own uploads
+const canViewVideo = (user, video) => (
+  user.role === 'admin' || video.status === 'approved' || isUploader(user, video)
+);
 
-  // Remove duplicates
-  return [...new Set(sanitizedTags)];
-};
+// Remove multer's temporary files once a request is done with them
+const removeTempFiles = (files = {}) => Promise.all(
+  Object.values(files)
+    .flat()
+    .map(file => fs.promises.rm(file.path, { force: true }))
+);
 
 exports.uploadVideo = async (req, res) => {
-  // Increase timeout
-  req.setTimeout(5 * 60 * 1000); // 5 minutes
-
   try {
     logger.info('Video upload started', { 
       user: req.user._id, 
@@ -163,37 +77,19 @@ exports.uploadVideo = async (req, res) => {
       thumbnailFileSize: thumbnailFile?.size
     });
 
-    // Validate input fields
-    if (!title) {
-      return res.status(400).json({ error: 'Title is required' });
-    }
-
-    if (title.length < 3 || title.length > 100) {
-      return res.status(400).json({ 
-        error: 'Title must be between 3 and 100 characters' 
-      });
-    }
-
-    if (!description) {
-      return res.status(400).json({ error: 'Description is required' });
-    }
-
-    if (description.length < 10 || description.length > 500) {
-      return res.status(400).json({ 
-        error: 'Description must be between 10 and 500 characters' 
-      });
-    }
-
-    // Validate tags
+    // Validate title, description and tags
     let sanitizedTags;
     try {
-      sanitizedTags = validateAndSanitizeTags(tags);
-    } catch (tagError) {
-      return res.status(400).json({ error: tagError.message });
+      sanitizedTags = validateVideoDetails({ title, description, tags });
+    } catch (validationError) {
+      return res.status(400).json({ error: validationError.message });
     }
 
-    // Only admin can upload videos
-    if (!['admin'].includes(req.user.role)) {
+    // Store aliases under the tag they stand for
+    sanitizedTags = await resolveTags(sanitizedTags);
+
+    // Only admins and creators can upload videos
+    if (!['admin', 'creator'].includes(req.user.role)) {
       logger.warn('Unauthorized video upload attempt', { 
         user: req.user._id, 
         role: req.user.role 
@@ -207,16 +103,30 @@ exports.uploadVideo = async (req, res) => {
       return res.status(400).json({ error: 'Video file is required' });
     }
 
-    // Upload video buffer directly to Azure
-    const videoUrl = await uploadBufferToAzure(
-      videoFile.buffer, 
+    // Reject files that are not playable video, whatever their declared type
+    let media;
+    try {
+      media = await extractVideoMetadata(videoFile.path);
+    } catch (mediaError) {
+      if (!isUnplayable(mediaError)) throw mediaError;
+
+      logger.warn('Rejected unplayable video upload', { 
+        user: req.user._id, 
+        error: mediaError.message 
+      });
+      return res.status(400).json({ error: mediaError.message });
+    }
+
+    // Stream video from the temporary file to storage
+    const storedVideo = await uploadFile(
+      fs.createReadStream(videoFile.path), 
       'videos', 
       videoFile.originalname, 
       videoFile.mimetype
     );
 
-    // Handle thumbnail
-    let thumbnailUrl = null;
+    // Upload provided thumbnail; otherwise one is generated in the background
+    let storedThumbnail = null;
     if (thumbnailFile) {
       logger.info('Using provided thumbnail', {
         originalname: thumbnailFile.originalname,
@@ -224,47 +134,36 @@ exports.uploadVideo = async (req, res) => {
         size: thumbnailFile.size
       });
 
-      // Upload provided thumbnail
-      thumbnailUrl = await uploadBufferToAzure(
-        thumbnailFile.buffer, 
+      storedThumbnail = await uploadFile(
+        fs.createReadStream(thumbnailFile.path), 
         'thumbnails', 
         thumbnailFile.originalname, 
         thumbnailFile.mimetype
       );
-    } else {
-      // Generate thumbnail from video buffer
-      try {
-        const thumbnailBuffer = await generateThumbnailFromBuffer(videoFile.buffer);
-        
-        thumbnailUrl = await uploadBufferToAzure(
-          thumbnailBuffer, 
-          'thumbnails', 
-          `${path.basename(videoFile.originalname, path.extname(videoFile.originalname))}_thumbnail.png`, 
-          'image/png'
-        );
-      } catch (thumbnailError) {
-        logger.error('Thumbnail generation failed', { error: thumbnailError });
-        // Optional: You can choose to fail the upload or continue without thumbnail
-      }
     }
 
     // Create video record in database
     const video = new Video({
       title,
       description,
-      url: videoUrl,
-      thumbnail: thumbnailUrl,
+      url: storedVideo.url,
+      storageKey: storedVideo.key,
+      thumbnail: storedThumbnail?.url || null,
+      thumbnailKey: storedThumbnail?.key || null,
+      media,
       tags: sanitizedTags,
       uploadedBy: req.user._id,
-      status: req.user.role === 'admin' ? 'approved' : 'pending'
+      status: req.user.role === 'admin' ? 'approved' : 'pending',
+      processingStatus: 'processing'
     });
 
     await video.save();
+    await enqueueVideoProcessing(video);
 
     logger.info('Video upload completed', { 
       videoId: video._id, 
-      videoUrl, 
-      thumbnailUrl 
+      storageKey: video.storageKey, 
+      thumbnailUrl: video.thumbnail 
     });
 
     res.status(201).json({ 
@@ -272,10 +171,12 @@ exports.uploadVideo = async (req, res) => {
       video: {
         id: video._id,
         title: video.title,
-        url: video.url,
+        streamUrl: streamUrlFor(video._id),
         thumbnail: video.thumbnail,
         tags: video.tags,
-        status: video.status
+        status: video.status,
+        processingStatus: video.processingStatus,
+        media: video.media
       }
     });
   } catch (error) {
@@ -288,6 +189,8 @@ exports.uploadVideo = async (req, res) => {
       error: 'Video upload failed', 
       details: error.message 
     });
+  } finally {
+    await removeTempFiles(req.files);
   }
 };
 
@@ -298,7 +201,24 @@ exports.getVideos = async (req, res) => {
     // Build query based on user role and status
     const query = { status: 'approved' };
     
-    if (tag) query.tags = tag;
+    if (tag) query.tags = await resolveTag(tag);
+
+    // Duration (seconds) and resolution (pixel height) ranges
+    const ranges = [
+      ['media.duration', 'minDuration', '$gte'],
+      ['media.duration', 'maxDuration', '$lte'],
+      ['media.height', 'minHeight', '$gte'],
+      ['media.height', 'maxHeight', '$lte']
+    ];
+    for (const [field, name, operator] of ranges) {
+      if (!req.query[name]) continue;
+
+      const value = Number(req.query[name]);
+      if (!Number.isFinite(value) || value < 0) {
+        return res.status(400).json({ error: `${name} must be a non-negative number` });
+      }
+      query[field] = { ...query[field], [operator]: value };
+    }
     
     // Admin can see all videos including pending
     if (['admin'].includes(req.user.role)) {
@@ -313,17 +233,22 @@ exports.getVideos = async (req, res) => {
       .sort({ createdAt: -1 });
 
     const total = await Video.countDocuments(query);
+    const likedIds = await likedVideoIds(req.user._id, videos.map(video => video._id));
 
     // Ensure thumbnail is always returned
     const processedVideos = videos.map(video => ({
       _id: video._id,
       title: video.title,
       description: video.description,
-      url: video.url,
+      ...withPlaybackUrls({ _id: video._id, hlsPrefix: video.hlsPrefix }),
+      processingStatus: video.processingStatus,
       thumbnail: video.thumbnail || 'https://via.placeholder.com/300x200?text=No+Thumbnail',
       tags: video.tags,
+      duration: video.media?.duration ?? null,
+      resolution: video.media ? `${video.media.width}x${video.media.height}` : null,
       views: video.views,
       likes: video.likes,
+      likedByMe: likedIds.has(video._id.toString()),
       uploadedBy: video.uploadedBy,
       createdAt: video.createdAt,
       status: video.status
@@ -347,6 +272,169 @@ exports.getVideos = async (req, res) => {
   }
 };
 
+const MAX_FEED_LIMIT = 50;
+
+// Feed cursors point just past the last video returned: its upload time and id
+const encodeFeedCursor = (video) => (
+  Buffer.from(`${video.createdAt.getTime()}:${video._id}`).toString('base64url')
+);
+
+const decodeFeedCursor = (cursor) => {
+  const [time, id] = Buffer.from(cursor, 'base64url').toString().split(':');
+  if (!/^\d+$/.test(time) || !mongoose.Types.ObjectId.isValid(id)) {
+    return null;
+  }
+  return { createdAt: new Date(Number(time)), _id: new mongoose.Types.ObjectId(id) };
+};
+
+// Newest approved videos from the uploaders the user follows
+exports.getFeed = async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, MAX_FEED_LIMIT);
+
+    let after = null;
+    if (req.query.cursor) {
+      after = decodeFeedCursor(req.query.cursor);
+      if (!after) {
+        return res.status(400).json({ error: 'Invalid cursor' });
+      }
+    }
+
+    const uploaders = await followingIds(req.user._id);
+    if (uploaders.length === 0) {
+      return res.json({ videos: [], nextCursor: null });
+    }
+
+    // Each uploader's videos are read in order from the (uploadedBy, status, createdAt) index
+    // and merged, so the cost grows with the page size rather than the number followed
+    const query = { uploadedBy: { $in: uploaders }, status: 'approved' };
+    if (after) {
+      query.$or = [
+        { createdAt: { $lt: after.createdAt } },
+        { createdAt: after.createdAt, _id: { $lt: after._id } }
+      ];
+    }
+
+    const videos = await Video.find(query)
+      .select('title description thumbnail hlsPrefix tags media views likes comments uploadedBy createdAt')
+      .sort({ createdAt: -1, _id: -1 })
+      .limit(limit + 1)
+      .populate('uploadedBy', 'name avatarUrl')
+      .lean();
+
+    const hasMore = videos.length > limit;
+    const page = videos.slice(0, limit);
+    const likedIds = await likedVideoIds(req.user._id, page.map(video => video._id));
+
+    res.json({
+      videos: page.map(({ media, ...video }) => ({
+        ...withPlaybackUrls(video),
+        duration: media?.duration ?? null,
+        likedByMe: likedIds.has(video._id.toString())
+      })),
+      nextCursor: hasMore ? encodeFeedCursor(page[page.length - 1]) : null
+    });
+  } catch (error) {
+    logger.error('Get feed error', {
+      error: error.message,
+      stack: error.stack
+    });
+
+    res.status(500).json({
+      error: 'Failed to retrieve feed',
+      details: error.message
+    });
+  }
+};
+
+exports.getMyVideos = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+
+    // The uploader sees every status, including pending and rejected
+    const query = { uploadedBy: req.user._id };
+    if (req.query.status) query.status = req.query.status;
+
+    const videos = await Video.find(query)
+      .select('title description hlsPrefix thumbnail tags status rejectionReason processingStatus media views plays likes comments createdAt')
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean();
+
+    const total = await Video.countDocuments(query);
+
+    res.json({
+      videos: videos.map(withPlaybackUrls),
+      totalPages: Math.ceil(total / limit),
+      currentPage: page
+    });
+  } catch (error) {
+    logger.error('Get my videos error', { 
+      error: error.message,
+      stack: error.stack 
+    });
+
+    res.status(500).json({ 
+      error: 'Failed to retrieve your videos', 
+      details: error.message 
+    });
+  }
+};
+
+exports.getMyVideoStats = async (req, res) => {
+  try {
+    const [stats] = await Video.aggregate([
+      { $match: { uploadedBy: req.user._id } },
+      {
+        $group: {
+          _id: null,
+          totalVideos: { $sum: 1 },
+          approved: { $sum: { $cond: [{ $eq: ['$status', 'approved'] }, 1, 0] } },
+          pending: { $sum: { $cond: [{ $eq: ['$status', 'pending'] }, 1, 0] } },
+          rejected: { $sum: { $cond: [{ $eq: ['$status', 'rejected'] }, 1, 0] } },
+          totalViews: { $sum: { $ifNull: ['$views', 0] } },
+          totalPlays: { $sum: { $ifNull: ['$plays', 0] } },
+          totalLikes: { $sum: { $ifNull: ['$likes', 0] } },
+          totalComments: { $sum: { $ifNull: ['$comments', 0] } }
+        }
+      },
+      { $project: { _id: 0 } }
+    ]);
+
+    const topVideos = await Video.find({ uploadedBy: req.user._id, status: 'approved' })
+      .select('title thumbnail views likes createdAt')
+      .sort({ views: -1 })
+      .limit(5)
+      .lean();
+
+    res.json({
+      stats: stats || {
+        totalVideos: 0,
+        approved: 0,
+        pending: 0,
+        rejected: 0,
+        totalViews: 0,
+        totalPlays: 0,
+        totalLikes: 0,
+        totalComments: 0
+      },
+      topVideos
+    });
+  } catch (error) {
+    logger.error('Get my video stats error', { 
+      error: error.message,
+      stack: error.stack 
+    });
+
+    res.status(500).json({ 
+      error: 'Failed to retrieve your video statistics', 
+      details: error.message 
+    });
+  }
+};
+
 exports.getVideoById = async (req, res) => {
   try {
     console.log('Getting video by id:', req.params.id);
@@ -370,8 +458,8 @@ exports.getVideoById = async (req, res) => {
       });
     }
 
-    // Only show approved videos to consumers
-    if (req.user.role === 'consumer' && video.status !== 'approved') {
+    // Only show approved videos, except to admins and the uploader
+    if (!canViewVideo(req.user, video)) {
       logger.warn('Unauthorized video access attempt', { 
         user: req.user._id, 
         role: req.user.role, 
@@ -383,16 +471,20 @@ exports.getVideoById = async (req, res) => {
     // Increment views for approved videos
     if (video.status === 'approved') {
       await Video.findByIdAndUpdate(req.params.id, { $inc: { views: 1 } });
+      await recordActivity(video._id, { views: 1 });
     }
 
-    // Populate comments associated with the video
-    const comments = await Comment.find({ video: req.params.id })
-      .populate('user', 'name email') 
+    // Populate comments associated with the video; deleted ones keep no trace of their author
+    const comments = await Comment.find({ video: req.params.id, hiddenAt: null, deletedAt: null })
+      .populate('user', 'name') 
       .sort({ createdAt: -1 })
       .lean();
 
+    const likedByMe = Boolean(await Like.exists({ user: req.user._id, video: video._id }));
+    const resumePosition = await WatchHistory.resumePosition(req.user._id, video._id);
+
     res.json({
-      video,
+      video: { ...withPlaybackUrls(video), likedByMe, resumePosition },
       comments
     });
   } catch (error) {
@@ -404,19 +496,212 @@ exports.getVideoById = async (req, res) => {
   }
 };
 
-exports.likeVideo = async (req, res) => {
+// Whether an If-Range precondition still matches the stored file
+const ifRangeMatches = (ifRange, { etag, lastModified }) => {
+  if (!ifRange) return true;
+  if (ifRange.includes('"')) return ifRange === etag;
+  return Math.floor(new Date(lastModified).getTime() / 1000) <= Date.parse(ifRange) / 1000;
+};
+
+// Serve a stored file with Range, ETag and Last-Modified support.
+// Resolves to whether the body is being sent from its first byte, i.e. playback is starting.
+const sendStoredFile = async (req, res, storageKey, context) => {
+  const storage = getStorage();
+
+  let file;
   try {
-    const video = await Video.findById(req.params.id);
+    file = await storage.stat(storageKey);
+  } catch (statError) {
+    if (isNotFound(statError)) {
+      res.status(404).json({ error: 'Video file not found' });
+      return false;
+    }
+    throw statError;
+  }
 
-    if (!video) {
+  res.set({
+    'Accept-Ranges': 'bytes',
+    'Cache-Control': 'private, max-age=3600',
+    ETag: file.etag,
+    'Last-Modified': new Date(file.lastModified).toUTCString()
+  });
+
+  // Answer conditional requests from the client cache
+  if (req.fresh) {
+    res.status(304).end();
+    return false;
+  }
+
+  let start = 0;
+  let end = file.size - 1;
+
+  const range = req.headers.range && ifRangeMatches(req.get('If-Range'), file)
+    ? req.range(file.size, { combine: true })
+    : undefined;
+
+  if (range === -1) {
+    res.status(416)
+      .set('Content-Range', `bytes */${file.size}`)
+      .json({ error: 'Requested range not satisfiable' });
+    return false;
+  }
+
+  // Serve a single range; malformed or multi-range requests get the whole file
+  if (Array.isArray(range) && range.type === 'bytes' && range.length === 1) {
+    ({ start, end } = range[0]);
+    res.status(206).set('Content-Range', `bytes ${start}-${end}/${file.size}`);
+  }
+
+  res.set({
+    'Content-Type': file.contentType || 'application/octet-stream',
+    'Content-Length': end - start + 1
+  });
+
+  if (req.method === 'HEAD' || file.size === 0) {
+    res.end();
+    return false;
+  }
+
+  const { stream } = await storage.get(storageKey, { start, end });
+
+  res.on('close', () => stream.destroy());
+  stream.on('error', (streamError) => {
+    logger.error('Video stream error', { 
+      ...context, 
+      error: streamError.message 
+    });
+    res.destroy(streamError);
+  });
+  stream.pipe(res);
+
+  return start === 0;
+};
+
+// Load a video for playback, responding and returning null when it is missing or not viewable
+const findPlayableVideo = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({ 
+      error: 'Invalid video ID',
+      details: `Received ID: ${req.params.id}`
+    });
+    return null;
+  }
+
+  const video = await Video.findById(req.params.id)
+    .select('status uploadedBy url storageKey hlsPrefix')
+    .lean();
+
+  if (!video) {
+    res.status(404).json({ 
+      error: 'Video not found',
+      details: `No video found with ID: ${req.params.id}`
+    });
+    return null;
+  }
+
+  // Only stream approved videos, except to admins and the uploader
+  if (!canViewVideo(req.user, video)) {
+    logger.warn('Unauthorized video stream attempt', { 
+      user: req.user._id, 
+      role: req.user.role, 
+      videoId: video._id 
+    });
+    res.status(403).json({ error: 'Video not available' });
+    return null;
+  }
+
+  return video;
+};
+
+// Count a play of an approved video; uploaders and admins reviewing it do not count
+const countPlay = async (video) => {
+  if (video.status === 'approved') {
+    await Video.updateOne({ _id: video._id }, { $inc: { plays: 1 } });
+  }
+};
+
+// Failures after the response started can only abort the connection
+const handleStreamError = (res, error) => {
+  logger.error('Stream video error', { 
+    error: error.message,
+    stack: error.stack 
+  });
+
+  if (res.headersSent) {
+    return res.destroy(error);
+  }
+
+  res.removeHeader('Content-Range');
+  res.removeHeader('Content-Type');
+  res.status(500).json({ 
+    error: 'Failed to stream video', 
+    details: error.message 
+  });
+};
+
+exports.streamVideo = async (req, res) => {
+  try {
+    const video = await findPlayableVideo(req, res);
+    if (!video) return;
+
+    const storageKey = video.storageKey || getStorage().keyFromUrl(video.url);
+    if (!storageKey) {
+      return res.status(404).json({ error: 'Video file not found' });
+    }
+
+    // A request from the first byte starts playback; later ranges are seeks and buffering
+    if (await sendStoredFile(req, res, storageKey, { videoId: video._id })) {
+      await countPlay(video);
+    }
+  } catch (error) {
+    handleStreamError(res, error);
+  }
+};
+
+// HLS playlists and segments; relative paths inside the playlists resolve back to this route
+exports.streamHls = async (req, res) => {
+  try {
+    const file = req.params[0];
+
+    // Only plain relative paths inside the video's HLS folder
+    if (!/^[\w.-]+(\/[\w.-]+)*$/.test(file) || file.split('/').includes('..')) {
+      return res.status(400).json({ error: 'Invalid HLS path' });
+    }
+
+    const video = await findPlayableVideo(req, res);
+    if (!video) return;
+
+    if (!video.hlsPrefix) {
+      return res.status(404).json({ error: 'Video has no HLS renditions' });
+    }
+
+    const started = await sendStoredFile(req, res, `${video.hlsPrefix}/${file}`, { videoId: video._id, file });
+    if (started && file === 'master.m3u8') {
+      await countPlay(video);
+    }
+  } catch (error) {
+    handleStreamError(res, error);
+  }
+};
+
+// Like, unlike or toggle a like (only consumers and creators)
+const changeLike = (action) => async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid video ID' });
+    }
+
+    const video = await Video.findById(req.params.id).select('status uploadedBy').lean();
+
+    if (!video || !canViewVideo(req.user, video)) {
       logger.error('Video not found', { 
         videoId: req.params.id 
       });
       return res.status(404).json({ error: 'Video not found' });
     }
 
-    // Only consumers can like videos
-    if (req.user.role !== 'consumer') {
+    // Only consumers and creators can like videos
+    if (!['consumer', 'creator'].includes(req.user.role)) {
       logger.warn('Unauthorized video like attempt', { 
         user: req.user._id, 
         role: req.user.role, 
@@ -425,11 +710,12 @@ exports.likeVideo = async (req, res) => {
       return res.status(403).json({ error: 'Not authorized to like videos' });
     }
 
-    await video.toggleLike(req.user._id);
+    const { liked, likes } = await action(req.user._id, video._id);
 
     res.json({ 
-      message: 'Video like toggled', 
-      likes: video.likes 
+      message: liked ? 'Video liked' : 'Video unliked', 
+      liked,
+      likes 
     });
   } catch (error) {
     logger.error('Like video error', { 
@@ -444,6 +730,12 @@ exports.likeVideo = async (req, res) => {
   }
 };
 
+exports.likeVideo = changeLike(likeVideo);
+
+exports.unlikeVideo = changeLike(unlikeVideo);
+
+exports.toggleLike = changeLike(toggleLike);
+
 exports.getVideoStats = async (req, res) => {
   try {
     const videoId = req.params.id;
@@ -456,9 +748,15 @@ exports.getVideoStats = async (req, res) => {
       });
     }
 
+    // Creators can only see stats for their own videos
+    const match = { _id: new mongoose.Types.ObjectId(videoId) };
+    if (req.user.role !== 'admin') {
+      match.uploadedBy = req.user._id;
+    }
+
     // Aggregate video statistics
     const statsAggregate = await Video.aggregate([
-      { $match: { _id: new mongoose.Types.ObjectId(videoId) } },
+      { $match: match },
       {
         $lookup: {
           from: 'comments', // Assuming comments collection
@@ -485,11 +783,22 @@ exports.getVideoStats = async (req, res) => {
       },
       {
         $addFields: {
-          commentsCount: { $size: '$videoComments' },
+          commentsCount: { $ifNull: ['$comments', 0] },
           uploaderName: { $arrayElemAt: ['$uploaderDetails.name', 0] },
           populatedComments: {
             $map: {
-              input: '$videoComments',
+              input: {
+                $filter: {
+                  input: '$videoComments',
+                  as: 'comment',
+                  cond: {
+                    $and: [
+                      { $not: [{ $ifNull: ['$$comment.deletedAt', false] }] },
+                      { $not: [{ $ifNull: ['$$comment.hiddenAt', false] }] }
+                    ]
+                  }
+                }
+              },
               as: 'comment',
               in: {
                 _id: '$$comment._id',
@@ -575,17 +884,9 @@ exports.getVideoAnalytics = async (req, res) => {
     // Fetch videos with detailed analytics using aggregation
     const videoAggregation = await Video.aggregate([
       { $match: filter },
-      {
-        $lookup: {
-          from: 'comments', // Assuming comments collection
-          localField: '_id',
-          foreignField: 'video',
-          as: 'videoComments'
-        }
-      },
       {
         $addFields: {
-          comments: { $size: '$videoComments' },
+          comments: { $ifNull: ['$comments', 0] },
           views: { $ifNull: ['$views', 0] },
           likes: { $ifNull: ['$likes', 0] }
         }
@@ -615,21 +916,13 @@ exports.getVideoAnalytics = async (req, res) => {
     // Calculate overall statistics for ALL videos (not just the current page)
     const overallStatsAggregate = await Video.aggregate([
       { $match: filter },
-      {
-        $lookup: {
-          from: 'comments',
-          localField: '_id',
-          foreignField: 'video',
-          as: 'videoComments'
-        }
-      },
       {
         $group: {
           _id: null,
           totalVideos: { $sum: 1 },
           totalViews: { $sum: { $ifNull: ['$views', 0] } },
           totalLikes: { $sum: { $ifNull: ['$likes', 0] } },
-          totalComments: { $sum: { $size: '$videoComments' } }
+          totalComments: { $sum: { $ifNull: ['$comments', 0] } }
         }
       }
     ]);
@@ -681,8 +974,8 @@ exports.deleteVideo = async (req, res) => {
       return res.status(404).json({ error: 'Video not found' });
     }
 
-    // Only admin can delete videos
-    if (req.user.role !== 'admin') {
+    // Admins can delete any video, creators only their own
+    if (req.user.role !== 'admin' && !isUploader(req.user, video)) {
       logger.warn('Unauthorized video deletion attempt', { 
         user: req.user._id, 
         role: req.user.role, 
@@ -691,33 +984,43 @@ exports.deleteVideo = async (req, res) => {
       return res.status(403).json({ error: 'Not authorized to delete videos' });
     }
 
-    // Delete associated comments
+    // Delete associated comments, reactions and likes
+    await removeCommentReports(await Comment.find({ video: video._id }).distinct('_id'));
     await Comment.deleteMany({ video: video._id });
+    await CommentReaction.deleteMany({ video: video._id });
+    await Like.deleteMany({ video: video._id });
+    await TrendingEntry.deleteMany({ video: video._id });
+    await WatchHistory.deleteMany({ video: video._id });
+    await Playlist.updateMany(
+      { 'items.video': video._id },
+      { $pull: { items: { video: video._id } }, $inc: { __v: 1 } }
+    );
+    await Notification.deleteMany({ video: video._id });
 
     // Delete the video from database
     await Video.deleteOne({ _id: video._id });
 
-    // Delete video and thumbnail from Azure Blob Storage
+    // Delete video and thumbnail from storage
     try {
-      const containerClient = blobServiceClient.getContainerClient(
-        process.env.AZURE_STORAGE_CONTAINER
-      );
+      const storage = getStorage();
+      const videoKey = video.storageKey || storage.keyFromUrl(video.url);
+      const thumbnailKey = video.thumbnailKey || storage.keyFromUrl(video.thumbnail);
+
+      if (videoKey) {
+        await storage.delete(videoKey);
+      }
 
-      // Delete video blob
-      if (video.videoUrl) {
-        const videoFileName = video.videoUrl.split('/').pop();
-        const videoBlockBlobClient = containerClient.getBlockBlobClient(videoFileName);
-        await videoBlockBlobClient.delete();
+      if (thumbnailKey) {
+        await storage.delete(thumbnailKey);
       }
 
-      // Delete thumbnail blob if exists
-      if (video.thumbnailUrl) {
-        const thumbnailFileName = video.thumbnailUrl.split('/').pop();
-        const thumbnailBlockBlobClient = containerClient.getBlockBlobClient(thumbnailFileName);
-        await thumbnailBlockBlobClient.delete();
+      // Delete HLS playlists and segments
+      if (video.hlsPrefix) {
+        const hlsFiles = await storage.list(`${video.hlsPrefix}/`);
+        await Promise.all(hlsFiles.map(file => storage.delete(file.key)));
       }
     } catch (storageError) {
-      logger.error('Error deleting video from Azure Blob Storage', {
+      logger.error('Error deleting video files from storage', {
         videoId: video._id,
         error: storageError.message
       });
@@ -1,5 +1,35 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const { isSessionActive, STREAM_TOKEN_AUDIENCE } = require('../services/session');
+
+// Load the user behind a verified token, rejecting revoked sessions and suspended accounts.
+// Responds and returns false when the request cannot go on.
+const attachUser = async (req, res, decoded) => {
+  // Tokens must belong to a session that has not been logged out or revoked
+  if (!decoded.sid || !(await isSessionActive(decoded.sid, decoded.id))) {
+    res.status(401).json({ error: 'Session has been revoked. Please sign in again.' });
+    return false;
+  }
+
+  req.user = await User.findById(decoded.id).select('-password'); // Attach user info to request
+  if (!req.user) {
+    res.status(401).json({ error: 'Invalid or expired token.' });
+    return false;
+  }
+
+  const suspension = req.user.activeSuspension();
+  if (suspension) {
+    res.status(403).json({ 
+      error: suspension.type === 'banned' ? 'Account banned.' : 'Account suspended.',
+      reason: suspension.reason,
+      until: suspension.until || null
+    });
+    return false;
+  }
+
+  req.sessionId = decoded.sid;
+  return true;
+};
 
 exports.authenticate = async (req, res, next) => {
   const token = req.headers.authorization?.split(' ')[1]; // Extract token from Authorization header
@@ -8,12 +38,51 @@ exports.authenticate = async (req, res, next) => {
     return res.status(401).json({ error: 'Access denied. No token provided.' });
   }
 
+  let decoded;
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET); // Verify token
-    req.user = await User.findById(decoded.id).select('-password'); // Attach user info to request
+    decoded = jwt.verify(token, process.env.JWT_SECRET); // Verify token
+  } catch (error) {
+    return res.status(401).json({ error: 'Invalid or expired token.' });
+  }
+
+  // Single-purpose tokens, such as stream tokens, are not access tokens
+  if (decoded.aud) {
+    return res.status(401).json({ error: 'Invalid or expired token.' });
+  }
+
+  try {
+    if (!(await attachUser(req, res, decoded))) return;
+
+    req.tokenExpiresAt = decoded.exp;
     next(); // Proceed to next middleware/controller
   } catch (error) {
-    res.status(401).json({ error: 'Invalid or expired token.' });
+    next(error);
+  }
+};
+
+// Authenticate the notification stream with a stream token in `?token=`, since
+// EventSource cannot send headers; access tokens are refused here
+exports.authenticateStream = async (req, res, next) => {
+  const token = req.query.token;
+
+  if (typeof token !== 'string' || !token) {
+    return res.status(401).json({ error: 'Access denied. No token provided.' });
+  }
+
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET, { audience: STREAM_TOKEN_AUDIENCE });
+  } catch (error) {
+    return res.status(401).json({ error: 'Invalid or expired token.' });
+  }
+
+  try {
+    if (!(await attachUser(req, res, decoded))) return;
+
+    req.streamExpiresAt = decoded.until;
+    next();
+  } catch (error) {
+    next(error);
   }
 };
 
@@ -25,3 +94,14 @@ exports.authorizeRoles = (...roles) => {
     next();
   };
 };
+
+// Block accounts that have not confirmed their email address yet
+exports.requireVerifiedEmail = (req, res, next) => {
+  if (req.user.emailVerified === false) {
+    return res.status(403).json({ 
+      error: 'Email not verified', 
+      details: 'Confirm your email address to use this feature' 
+    });
+  }
+  next();
+};
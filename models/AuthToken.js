@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+// Single-use token mailed to a user, e.g. to verify an email address or reset a password
+const authTokenSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    type: {
+      type: String,
+      enum: ['email-verification', 'password-reset'],
+      required: true
+    },
+    // Only the SHA-256 of the token is stored
+    tokenHash: { type: String, required: true, unique: true },
+    // Email address the token was sent to
+    email: { type: String, required: true },
+    expiresAt: { type: Date, required: true },
+    usedAt: { type: Date, default: null }
+  },
+  { timestamps: true }
+);
+
+authTokenSchema.index({ user: 1, type: 1 });
+authTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('AuthToken', authTokenSchema);
@@ -1,5 +1,8 @@
 const mongoose = require('mongoose');
 
+// Text left in place of a deleted comment so its replies keep their context
+const DELETED_TEXT = '[deleted]';
+
 const commentSchema = new mongoose.Schema(
   {
     video: {
@@ -12,12 +15,86 @@ const commentSchema = new mongoose.Schema(
       ref: 'User',
       required: true,
     },
+    // Top-level comment this one replies to; threads are one level deep
+    parent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Comment',
+      default: null,
+    },
     text: {
       type: String,
       required: true,
     },
+    // Replies that are neither deleted nor hidden
+    replyCount: { type: Number, default: 0 },
+    // Reaction counts by type, e.g. { like: 3, laugh: 1 }
+    reactions: { type: Map, of: Number, default: {} },
+    reactionCount: { type: Number, default: 0 },
+    // Ranking for "top" sorting: one point per reaction, two per reply
+    engagement: { type: Number, default: 0 },
+    // Previous versions of the text, oldest first
+    editHistory: [
+      {
+        text: String,
+        editedAt: { type: Date, default: Date.now },
+        _id: false,
+      },
+    ],
+    editedAt: { type: Date, default: null },
+    // Reports waiting for review; reaching COMMENT_REPORT_THRESHOLD hides the comment
+    openReports: { type: Number, default: 0 },
+    hiddenAt: { type: Date, default: null },
+    deletedAt: { type: Date, default: null },
+    deletedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
   },
-  { timestamps: true }
+  {
+    timestamps: true,
+    statics: {
+      // Count a reply in or out of its thread, e.g. when it is hidden (-1) or restored (+1)
+      changeReplyCount(parentId, delta) {
+        return this.updateOne({ _id: parentId }, { $inc: { replyCount: delta, engagement: 2 * delta } });
+      },
+      // Blank out matching comments but keep them so threads stay intact.
+      // Each comment is claimed individually so its video's counter drops exactly once.
+      async softDelete(filter, deletedBy) {
+        const Video = mongoose.model('Video');
+        const comments = await this.find({ ...filter, deletedAt: null }).select('video parent hiddenAt').lean();
+        let deleted = 0;
+
+        for (const comment of comments) {
+          const result = await this.updateOne(
+            { _id: comment._id, deletedAt: null },
+            {
+              text: DELETED_TEXT,
+              editHistory: [],
+              deletedAt: new Date(),
+              deletedBy,
+            }
+          );
+
+          if (result.modifiedCount > 0) {
+            await Video.updateOne({ _id: comment.video }, { $inc: { comments: -1 } });
+            await Video.updateOne(
+              { _id: comment.video, pinnedComment: comment._id },
+              { pinnedComment: null }
+            );
+            // Hidden replies were already counted out of their thread
+            if (comment.parent && !comment.hiddenAt) {
+              await this.changeReplyCount(comment.parent, -1);
+            }
+            deleted += 1;
+          }
+        }
+
+        return deleted;
+      },
+    },
+  }
 );
 
+commentSchema.index({ video: 1, parent: 1, createdAt: -1 });
+commentSchema.index({ parent: 1, createdAt: 1 });
+commentSchema.index({ video: 1, parent: 1, engagement: -1 });
+commentSchema.index({ openReports: -1 });
+
 module.exports = mongoose.model('Comment', commentSchema);
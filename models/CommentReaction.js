@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+// One user's reaction to one comment; Comment.reactions holds the running counts
+const commentReactionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    comment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Comment',
+      required: true,
+    },
+    // Kept so a video's reactions can be removed along with it
+    video: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Video',
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: ['like', 'heart', 'laugh', 'wow', 'sad'],
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+// A user has at most one reaction per comment
+commentReactionSchema.index({ user: 1, comment: 1 }, { unique: true });
+commentReactionSchema.index({ video: 1 });
+
+module.exports = mongoose.model('CommentReaction', commentReactionSchema);
@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+// A user's report of a comment, resolved when an admin reviews the comment
+const commentReportSchema = new mongoose.Schema(
+  {
+    comment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Comment',
+      required: true,
+    },
+    reporter: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    reason: {
+      type: String,
+      enum: ['spam', 'harassment', 'hate', 'misinformation', 'other'],
+      required: true,
+    },
+    details: { type: String, maxlength: 500, default: null },
+    // `upheld` when the comment was removed, `dismissed` when it was restored
+    status: {
+      type: String,
+      enum: ['open', 'upheld', 'dismissed'],
+      default: 'open',
+    },
+    reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    reviewedAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+// Each user can report a comment once
+commentReportSchema.index({ comment: 1, reporter: 1 }, { unique: true });
+commentReportSchema.index({ comment: 1, status: 1 });
+
+module.exports = mongoose.model('CommentReport', commentReportSchema);
@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+// One user following another; User.followerCount and followingCount are running counts of these
+const followSchema = new mongoose.Schema(
+  {
+    follower: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    following: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+// A user can follow another only once
+followSchema.index({ follower: 1, following: 1 }, { unique: true });
+followSchema.index({ follower: 1, createdAt: -1 });
+followSchema.index({ following: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Follow', followSchema);
@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+const failureSchema = new mongoose.Schema(
+  {
+    attempt: { type: Number, required: true },
+    message: { type: String, required: true },
+    at: { type: Date, default: Date.now }
+  },
+  { _id: false }
+);
+
+const jobSchema = new mongoose.Schema(
+  {
+    type: { type: String, required: true },
+    payload: { type: mongoose.Schema.Types.Mixed, default: {} },
+    // "dead" is the dead-letter state: every attempt failed and the job waits for a manual retry
+    status: {
+      type: String,
+      enum: ['queued', 'running', 'completed', 'dead'],
+      default: 'queued'
+    },
+    attempts: { type: Number, default: 0 },
+    maxAttempts: { type: Number, default: 5 },
+    // Earliest time the job may run; pushed back after each failure
+    runAt: { type: Date, default: Date.now },
+    lockedAt: { type: Date, default: null },
+    lockedBy: { type: String, default: null },
+    lastError: { type: String, default: null },
+    failures: [failureSchema],
+    result: { type: mongoose.Schema.Types.Mixed, default: null },
+    startedAt: { type: Date, default: null },
+    completedAt: { type: Date, default: null }
+  },
+  { timestamps: true }
+);
+
+jobSchema.index({ type: 1, status: 1, runAt: 1 });
+jobSchema.index({ status: 1, lockedAt: 1 });
+
+module.exports = mongoose.model('Job', jobSchema);
@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+// One user's like of one video; Video.likes is the running count of these
+const likeSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    video: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Video',
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+// A user can like a video only once
+likeSchema.index({ user: 1, video: 1 }, { unique: true });
+likeSchema.index({ video: 1 });
+likeSchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Like', likeSchema);
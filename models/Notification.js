@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+// Something that happened which a user should hear about
+const notificationSchema = new mongoose.Schema(
+  {
+    // Recipient
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: ['comment-reply', 'new-video', 'video-moderation'],
+      required: true,
+    },
+    // Who caused it, if anyone in particular
+    actor: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    video: { type: mongoose.Schema.Types.ObjectId, ref: 'Video', default: null },
+    comment: { type: mongoose.Schema.Types.ObjectId, ref: 'Comment', default: null },
+    message: { type: String, required: true },
+    readAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+notificationSchema.index({ user: 1, createdAt: -1 });
+notificationSchema.index({ user: 1, readAt: 1 });
+notificationSchema.index({ video: 1 });
+// Old notifications are not worth keeping
+notificationSchema.index({ createdAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('Notification', notificationSchema);
@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+// A user's ordered list of videos; each user also has one built-in "Watch later" list
+const playlistSchema = new mongoose.Schema(
+  {
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    kind: {
+      type: String,
+      enum: ['custom', 'watch-later'],
+      default: 'custom',
+    },
+    title: { type: String, required: true, trim: true, maxlength: 150 },
+    description: { type: String, default: '', trim: true, maxlength: 5000 },
+    // Unlisted playlists can be opened by anyone with the link but are not listed on profiles
+    visibility: {
+      type: String,
+      enum: ['public', 'unlisted', 'private'],
+      default: 'private',
+    },
+    items: [
+      {
+        _id: false,
+        video: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'Video',
+          required: true,
+        },
+        addedAt: { type: Date, default: Date.now },
+      },
+    ],
+  },
+  {
+    timestamps: true,
+    methods: {
+      isOwnedBy(user) {
+        return this.owner.toString() === user._id.toString();
+      },
+      // Owners and admins see every playlist; others only public and unlisted ones
+      isViewableBy(user) {
+        return this.visibility !== 'private' || user.role === 'admin' || this.isOwnedBy(user);
+      },
+    },
+  }
+);
+
+playlistSchema.index({ owner: 1, updatedAt: -1 });
+playlistSchema.index({ 'items.video': 1 });
+// At most one "Watch later" list per user
+playlistSchema.index(
+  { owner: 1, kind: 1 },
+  { unique: true, partialFilterExpression: { kind: 'watch-later' } }
+);
+
+module.exports = mongoose.model('Playlist', playlistSchema);
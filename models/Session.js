@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+// A signed-in device. Access tokens carry its id; the refresh token rotates on every use.
+const sessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    // SHA-256 of the current refresh token secret
+    tokenHash: { type: String, required: true },
+    // Hashes of secrets already rotated away; presenting one again means the token leaked
+    previousTokenHashes: { type: [String], default: [] },
+    expiresAt: { type: Date, required: true },
+    lastUsedAt: { type: Date, default: Date.now },
+    revokedAt: { type: Date, default: null },
+    revokedReason: { type: String, default: null },
+    userAgent: { type: String, default: null },
+    ip: { type: String, default: null }
+  },
+  { timestamps: true }
+);
+
+sessionSchema.index({ user: 1, revokedAt: 1 });
+// Let MongoDB remove sessions once they can no longer be refreshed
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -0,0 +1,15 @@
+const mongoose = require('mongoose');
+
+// Another spelling of a tag, e.g. "hiphop" for "hip-hop"; videos only ever store the canonical tag
+const tagAliasSchema = new mongoose.Schema(
+  {
+    alias: { type: String, required: true, unique: true, trim: true, lowercase: true },
+    tag: { type: String, required: true, trim: true, lowercase: true },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  },
+  { timestamps: true }
+);
+
+tagAliasSchema.index({ tag: 1 });
+
+module.exports = mongoose.model('TagAlias', tagAliasSchema);
@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+// A video's precomputed trending score for one window, replaced on every recalculation
+const trendingEntrySchema = new mongoose.Schema({
+  window: {
+    type: String,
+    enum: ['24h', '7d', '30d'],
+    required: true
+  },
+  video: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Video',
+    required: true
+  },
+  // Copied from the video so the feed can be filtered by tag without a join
+  tags: [String],
+  score: { type: Number, required: true },
+  computedAt: { type: Date, required: true }
+});
+
+trendingEntrySchema.index({ window: 1, video: 1 }, { unique: true });
+trendingEntrySchema.index({ window: 1, score: -1 });
+trendingEntrySchema.index({ window: 1, tags: 1, score: -1 });
+
+module.exports = mongoose.model('TrendingEntry', trendingEntrySchema);
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+const chunkSchema = new mongoose.Schema(
+  {
+    offset: { type: Number, required: true },
+    size: { type: Number, required: true },
+    key: { type: String, required: true }
+  },
+  { _id: false }
+);
+
+const uploadSessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    filename: { type: String, required: true },
+    mimetype: { type: String, required: true },
+    // Total size declared when the session was created
+    size: { type: Number, required: true, min: 1 },
+    // Bytes received so far; the next chunk must start at this offset
+    received: { type: Number, default: 0 },
+    chunks: [chunkSchema],
+    title: { type: String, required: true },
+    description: { type: String, required: true },
+    tags: { type: [String], required: true },
+    status: {
+      type: String,
+      enum: ['active', 'completing', 'completed', 'aborted'],
+      default: 'active'
+    },
+    video: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Video',
+      default: null
+    },
+    expiresAt: { type: Date, required: true }
+  },
+  { timestamps: true }
+);
+
+uploadSessionSchema.index({ user: 1, status: 1 });
+
+module.exports = mongoose.model('UploadSession', uploadSessionSchema);
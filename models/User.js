@@ -4,7 +4,51 @@ const userSchema = new mongoose.Schema({
   name: { type: String, required: true },
   email: { type: String, unique: true, required: true },
   password: { type: String, required: true },
-  role: { type: String, enum: ['admin', 'consumer'], default: 'consumer' },
+  // Unset on accounts created before verification existed; those are treated as verified
+  emailVerified: { type: Boolean },
+  emailVerifiedAt: { type: Date },
+  // New address waiting for confirmation; `email` changes once it is verified
+  pendingEmail: { type: String, default: null },
+  bio: { type: String, maxlength: 300, default: '' },
+  avatarUrl: { type: String, default: null },
+  avatarKey: { type: String, default: null },
+  role: { type: String, enum: ['admin', 'creator', 'consumer'], default: 'consumer' },
+  // A consumer's request to become a creator
+  creatorApplication: {
+    status: { type: String, enum: ['pending', 'approved', 'rejected'] },
+    message: { type: String, maxlength: 1000 },
+    appliedAt: Date,
+    reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    reviewedAt: Date,
+    reviewNote: String,
+  },
+  // Set by an admin; a suspension without `until` lasts until lifted
+  suspension: {
+    type: { type: String, enum: ['suspended', 'banned'] },
+    reason: String,
+    until: Date,
+    by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    at: Date,
+  },
+  // Set by an admin to make the user choose a new password before signing in again
+  passwordResetRequired: { type: Boolean, default: false },
+  // While paused, playback progress is not saved to the user's watch history
+  historyPaused: { type: Boolean, default: false },
+  // Running counts of Follow documents
+  followerCount: { type: Number, default: 0 },
+  followingCount: { type: Number, default: 0 },
+  // Notification type -> whether the user wants it; types not listed are on
+  notificationPreferences: { type: Map, of: Boolean, default: {} },
+}, {
+  timestamps: true,
+  methods: {
+    // The suspension or ban in force right now, if any
+    activeSuspension() {
+      const { type, until } = this.suspension || {};
+      if (!type || (until && until <= new Date())) return null;
+      return this.suspension;
+    }
+  }
 });
 
 module.exports = mongoose.model('User', userSchema);
@@ -1,5 +1,45 @@
 const mongoose = require('mongoose');
 
+// One HLS rendition of a transcoded video
+const RenditionSchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  width: { type: Number, required: true },
+  height: { type: Number, required: true },
+  bandwidth: { type: Number, required: true },
+  playlistUrl: { type: String, required: true }
+}, { _id: false });
+
+// Media details extracted with ffprobe on upload
+const MediaSchema = new mongoose.Schema({
+  duration: Number, // seconds
+  width: Number,
+  height: Number,
+  frameRate: Number,
+  videoCodec: String,
+  audioCodec: String,
+  audioChannels: Number,
+  bitrate: Number, // bits per second
+  container: String
+}, { _id: false });
+
+// One moderation decision or resubmission
+const ModerationEntrySchema = new mongoose.Schema({
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  action: {
+    type: String,
+    enum: ['approve', 'reject', 'resubmit'],
+    required: true
+  },
+  fromStatus: { type: String, required: true },
+  toStatus: { type: String, required: true },
+  note: { type: String, default: null },
+  createdAt: { type: Date, default: Date.now }
+}, { _id: false });
+
 const VideoSchema = new mongoose.Schema({
   title: {
     type: String,
@@ -19,10 +59,42 @@ const VideoSchema = new mongoose.Schema({
     type: String,
     required: [true, 'Video URL is required']
   },
+  storageKey: {
+    type: String,
+    default: null
+  },
   thumbnail: {
     type: String,
     default: null
   },
+  thumbnailKey: {
+    type: String,
+    default: null
+  },
+  processingStatus: {
+    type: String,
+    enum: ['none', 'processing', 'ready', 'failed'],
+    default: 'none'
+  },
+  processingError: {
+    type: String,
+    default: null
+  },
+  // Master playlist of the HLS ladder
+  hlsUrl: {
+    type: String,
+    default: null
+  },
+  // Storage folder holding the HLS playlists and segments
+  hlsPrefix: {
+    type: String,
+    default: null
+  },
+  renditions: [RenditionSchema],
+  media: {
+    type: MediaSchema,
+    default: null
+  },
   tags: {
     type: [String],
     required: [true, 'At least one tag is required'],
@@ -43,22 +115,34 @@ const VideoSchema = new mongoose.Schema({
     enum: ['pending', 'approved', 'rejected'],
     default: 'pending'
   },
+  rejectionReason: {
+    type: String,
+    default: null
+  },
+  moderationHistory: [ModerationEntrySchema],
   views: {
     type: Number,
     default: 0
   },
+  // Playback starts through the stream and HLS routes
+  plays: {
+    type: Number,
+    default: 0
+  },
   likes: {
     type: Number,
     default: 0
   },
-  likedBy: [{ 
-    type: mongoose.Schema.Types.ObjectId, 
-    ref: 'User' 
-  }],
   comments: { 
     type: Number, 
     default: 0 
   },
+  // Comment shown first, chosen by the uploader or an admin
+  pinnedComment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment',
+    default: null
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -69,23 +153,22 @@ const VideoSchema = new mongoose.Schema({
     incrementViews() {
       this.views += 1;
       return this.save();
-    },
-    toggleLike(userId) {
-      const index = this.likedBy.indexOf(userId);
-      if (index > -1) {
-        // Unlike
-        this.likedBy.splice(index, 1);
-        this.likes -= 1;
-      } else {
-        // Like
-        this.likedBy.push(userId);
-        this.likes += 1;
-      }
-      return this.save();
     }
   }
 });
 
+VideoSchema.index({ status: 1, createdAt: 1 });
+VideoSchema.index({ 'media.duration': 1 });
+VideoSchema.index({ 'media.height': 1 });
+VideoSchema.index({ tags: 1 });
+// Subscription feed: newest approved videos across followed uploaders
+VideoSchema.index({ uploadedBy: 1, status: 1, createdAt: -1, _id: -1 });
+// Full-text search; matches in the title count most, then tags, then the description
+VideoSchema.index(
+  { title: 'text', tags: 'text', description: 'text' },
+  { name: 'video_text_search', weights: { title: 10, tags: 5, description: 1 } }
+);
+
 // Ensure tags are unique and lowercase
 VideoSchema.pre('save', function(next) {
   if (this.tags) {
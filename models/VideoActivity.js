@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+
+// Engagement a video received during one hour, used to score trending videos
+const videoActivitySchema = new mongoose.Schema({
+  video: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Video',
+    required: true
+  },
+  // Start of the hour (UTC)
+  hour: { type: Date, required: true },
+  views: { type: Number, default: 0 },
+  likes: { type: Number, default: 0 },
+  comments: { type: Number, default: 0 }
+});
+
+videoActivitySchema.index({ video: 1, hour: 1 }, { unique: true });
+// Buckets older than the longest trending window are no longer needed
+videoActivitySchema.index({ hour: 1 }, { expireAfterSeconds: 31 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('VideoActivity', videoActivitySchema);
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+// Videos left this early are not worth resuming
+const MIN_RESUME_SECONDS = 5;
+
+// How far a user got through a video, updated as they watch
+const watchHistorySchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    video: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Video',
+      required: true,
+    },
+    // Seconds
+    position: { type: Number, default: 0, min: 0 },
+    duration: { type: Number, default: null, min: 0 },
+    completed: { type: Boolean, default: false },
+    watchedAt: { type: Date, default: Date.now },
+  },
+  {
+    timestamps: true,
+    statics: {
+      // Where playback should pick up again; finished videos and barely started ones start over
+      resumePositionOf(entry) {
+        return entry && !entry.completed && entry.position >= MIN_RESUME_SECONDS ? entry.position : 0;
+      },
+      // Filter for entries worth resuming, matching resumePositionOf
+      resumableFilter() {
+        return { completed: false, position: { $gte: MIN_RESUME_SECONDS } };
+      },
+      async resumePosition(userId, videoId) {
+        const entry = await this.findOne({ user: userId, video: videoId })
+          .select('position completed')
+          .lean();
+        return this.resumePositionOf(entry);
+      },
+    },
+  }
+);
+
+watchHistorySchema.index({ user: 1, video: 1 }, { unique: true });
+watchHistorySchema.index({ user: 1, watchedAt: -1 });
+watchHistorySchema.index({ user: 1, completed: 1, watchedAt: -1 });
+
+module.exports = mongoose.model('WatchHistory', watchHistorySchema);
@@ -1,8 +1,50 @@
 const express = require('express');
-const { register, login } = require('../controllers/auth');
+const {
+  register,
+  login,
+  refresh,
+  logout,
+  logoutAll,
+  verifyEmail,
+  resendVerification,
+  forgotPassword,
+  resetPassword,
+  getCurrentUser,
+  updateCurrentUser,
+  changePassword,
+  deleteAccount
+} = require('../controllers/auth');
+const { authenticate } = require('../middleware/auth');
+const multer = require('multer');
 const router = express.Router();
 
+// Avatars are small images processed in memory
+const avatarUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024 // 5 MB file size limit
+  },
+  fileFilter: (req, file, cb) => {
+    if (['image/jpeg', 'image/png', 'image/webp'].includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Invalid file type. Only JPEG, PNG and WebP images are allowed.'), false);
+    }
+  }
+});
+
 router.post('/register', register);
 router.post('/login', login);
+router.post('/refresh', refresh);
+router.post('/logout', authenticate, logout);
+router.post('/logout-all', authenticate, logoutAll);
+router.post('/verify-email', verifyEmail);
+router.post('/resend-verification', authenticate, resendVerification);
+router.post('/forgot-password', forgotPassword);
+router.post('/reset-password', resetPassword);
+router.get('/me', authenticate, getCurrentUser);
+router.patch('/me', authenticate, avatarUpload.single('avatar'), updateCurrentUser);
+router.delete('/me', authenticate, deleteAccount);
+router.post('/me/password', authenticate, changePassword);
 
 module.exports = router;
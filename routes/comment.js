@@ -1,13 +1,65 @@
 const express = require('express');
-const { addComment, getComments } = require('../controllers/comment');
-const { authenticate } = require('../middleware/auth');
+const { 
+  addComment, 
+  getComments, 
+  getReplies, 
+  editComment, 
+  deleteComment, 
+  reactToComment, 
+  removeCommentReaction, 
+  pinComment, 
+  unpinComment, 
+  reportComment, 
+  getReportedComments, 
+  restoreComment, 
+  removeReportedComment 
+} = require('../controllers/comment');
+const { authenticate, authorizeRoles, requireVerifiedEmail } = require('../middleware/auth');
 
 const router = express.Router();
 
-// Add a comment to a video
-router.post('/', authenticate, addComment);
+// Add a comment to a video, or a reply with `parentId`
+router.post('/', authenticate, requireVerifiedEmail, addComment);
+
+// Reported comments waiting for review (admins only)
+router.get('/moderation/reported', 
+  authenticate, 
+  authorizeRoles('admin'), 
+  getReportedComments
+);
 
 // Get comments for a video
 router.get('/:videoId', getComments);
 
+// Get replies to a comment
+router.get('/:commentId/replies', getReplies);
+
+// Edit or delete a comment
+router.patch('/:commentId', authenticate, editComment);
+router.delete('/:commentId', authenticate, deleteComment);
+
+// React to a comment, or take the reaction back
+router.put('/:commentId/reaction', authenticate, requireVerifiedEmail, reactToComment);
+router.delete('/:commentId/reaction', authenticate, removeCommentReaction);
+
+// Pin a comment to the top of its video (uploader or admin)
+router.post('/:commentId/pin', authenticate, pinComment);
+router.delete('/:commentId/pin', authenticate, unpinComment);
+
+// Report a comment
+router.post('/:commentId/report', authenticate, requireVerifiedEmail, reportComment);
+
+// Restore or remove a reported comment (admins only)
+router.post('/:commentId/restore', 
+  authenticate, 
+  authorizeRoles('admin'), 
+  restoreComment
+);
+
+router.post('/:commentId/remove', 
+  authenticate, 
+  authorizeRoles('admin'), 
+  removeReportedComment
+);
+
 module.exports = router;
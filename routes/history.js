@@ -0,0 +1,31 @@
+const express = require('express');
+const {
+  getHistory,
+  getContinueWatching,
+  removeHistoryItem,
+  clearHistory,
+  pauseHistory,
+  resumeHistory
+} = require('../controllers/history');
+const { authenticate } = require('../middleware/auth');
+
+const router = express.Router();
+
+// The user's watch history, most recent first
+router.get('/', authenticate, getHistory);
+
+// Videos started but not finished
+router.get('/continue', authenticate, getContinueWatching);
+
+// Stop or restart recording history
+router.post('/pause', authenticate, pauseHistory);
+
+router.post('/resume', authenticate, resumeHistory);
+
+// Clear the whole history
+router.delete('/', authenticate, clearHistory);
+
+// Remove one video from the history
+router.delete('/:videoId', authenticate, removeHistoryItem);
+
+module.exports = router;
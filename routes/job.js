@@ -0,0 +1,28 @@
+const express = require('express');
+const { getJobs, getJobById, retryJob } = require('../controllers/job');
+const { authenticate, authorizeRoles } = require('../middleware/auth');
+
+const router = express.Router();
+
+// List jobs, optionally filtered by status and type (admin only)
+router.get('/', 
+  authenticate, 
+  authorizeRoles('admin'), 
+  getJobs
+);
+
+// Inspect a job, including its failure history (admin only)
+router.get('/:id', 
+  authenticate, 
+  authorizeRoles('admin'), 
+  getJobById
+);
+
+// Retry a dead job (admin only)
+router.post('/:id/retry', 
+  authenticate, 
+  authorizeRoles('admin'), 
+  retryJob
+);
+
+module.exports = router;
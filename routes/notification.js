@@ -0,0 +1,39 @@
+const express = require('express');
+const {
+  getNotifications,
+  getUnreadCount,
+  markRead,
+  markAllRead,
+  getPreferences,
+  updatePreferences,
+  createStreamToken,
+  streamNotifications
+} = require('../controllers/notification');
+const { authenticate, authenticateStream } = require('../middleware/auth');
+
+const router = express.Router();
+
+// The current user's notifications, newest first
+router.get('/', authenticate, getNotifications);
+
+router.get('/unread-count', authenticate, getUnreadCount);
+
+// Short-lived token for opening the stream below
+router.post('/stream-token', authenticate, createStreamToken);
+
+// Live notifications over Server-Sent Events; EventSource cannot set headers, so a stream token goes in `?token=`
+router.get('/stream', 
+  authenticateStream, 
+  streamNotifications
+);
+
+// Which notification types the user receives
+router.get('/preferences', authenticate, getPreferences);
+
+router.patch('/preferences', authenticate, updatePreferences);
+
+router.post('/read-all', authenticate, markAllRead);
+
+router.post('/:id/read', authenticate, markRead);
+
+module.exports = router;
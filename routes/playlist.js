@@ -0,0 +1,46 @@
+const express = require('express');
+const {
+  getMyPlaylists,
+  getUserPlaylists,
+  createPlaylist,
+  getPlaylist,
+  updatePlaylist,
+  deletePlaylist,
+  addPlaylistItem,
+  removePlaylistItem,
+  movePlaylistItem,
+  getLikedVideos
+} = require('../controllers/playlist');
+const { authenticate } = require('../middleware/auth');
+
+const router = express.Router();
+
+// The current user's playlists, Watch later first
+router.get('/', authenticate, getMyPlaylists);
+
+// Create a playlist
+router.post('/', authenticate, createPlaylist);
+
+// Videos the current user has liked
+router.get('/liked', authenticate, getLikedVideos);
+
+// Another user's public playlists
+router.get('/user/:userId', authenticate, getUserPlaylists);
+
+// A playlist and its videos; ":id" may be "watch-later"
+router.get('/:id', authenticate, getPlaylist);
+
+// Rename, describe or change visibility (owner only)
+router.patch('/:id', authenticate, updatePlaylist);
+
+// Delete a playlist (owner or admin)
+router.delete('/:id', authenticate, deletePlaylist);
+
+// Add, remove and reorder videos (owner only)
+router.post('/:id/items', authenticate, addPlaylistItem);
+
+router.delete('/:id/items/:videoId', authenticate, removePlaylistItem);
+
+router.patch('/:id/items/:videoId', authenticate, movePlaylistItem);
+
+module.exports = router;
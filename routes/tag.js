@@ -0,0 +1,58 @@
+const express = require('express');
+const {
+  getTags,
+  autocompleteTags,
+  getTag,
+  renameTag,
+  mergeTags,
+  getAliases,
+  createAlias,
+  deleteAlias
+} = require('../controllers/tag');
+const { authenticate, authorizeRoles } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Tag directory with usage counts (all authenticated users)
+router.get('/', authenticate, getTags);
+
+// Suggest tags for a prefix (all authenticated users)
+router.get('/autocomplete', authenticate, autocompleteTags);
+
+// Manage aliases (admins only)
+router.get('/aliases', 
+  authenticate, 
+  authorizeRoles('admin'), 
+  getAliases
+);
+
+router.post('/aliases', 
+  authenticate, 
+  authorizeRoles('admin'), 
+  createAlias
+);
+
+router.delete('/aliases/:alias', 
+  authenticate, 
+  authorizeRoles('admin'), 
+  deleteAlias
+);
+
+// Merge several tags into one (admins only)
+router.post('/merge', 
+  authenticate, 
+  authorizeRoles('admin'), 
+  mergeTags
+);
+
+// A tag's videos (all authenticated users)
+router.get('/:tag', authenticate, getTag);
+
+// Rename a tag across every video (admins only)
+router.patch('/:tag', 
+  authenticate, 
+  authorizeRoles('admin'), 
+  renameTag
+);
+
+module.exports = router;
@@ -0,0 +1,114 @@
+const express = require('express');
+const {
+  applyForCreator,
+  getMyCreatorApplication,
+  getCreatorApplications,
+  approveCreatorApplication,
+  rejectCreatorApplication,
+  getUsers,
+  getUserActivity,
+  changeUserRole,
+  suspendUser,
+  banUser,
+  liftSuspension,
+  forcePasswordReset,
+  getUserProfile,
+  followUser,
+  unfollowUser,
+  getFollowers,
+  getFollowing
+} = require('../controllers/user');
+const { authenticate, authorizeRoles, requireVerifiedEmail } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Apply for the creator role (only consumers)
+router.post('/me/creator-application', 
+  authenticate, 
+  authorizeRoles('consumer'), 
+  applyForCreator
+);
+
+// Current user's creator application
+router.get('/me/creator-application', authenticate, getMyCreatorApplication);
+
+// Review creator applications (admins only)
+router.get('/creator-applications', 
+  authenticate, 
+  authorizeRoles('admin'), 
+  getCreatorApplications
+);
+
+router.post('/:id/creator-application/approve', 
+  authenticate, 
+  authorizeRoles('admin'), 
+  approveCreatorApplication
+);
+
+router.post('/:id/creator-application/reject', 
+  authenticate, 
+  authorizeRoles('admin'), 
+  rejectCreatorApplication
+);
+
+// Public profile with follower counts (all authenticated users)
+router.get('/:id/profile', authenticate, getUserProfile);
+
+// Follow or unfollow a user; PUT and DELETE are idempotent
+router.put('/:id/follow', 
+  authenticate, 
+  requireVerifiedEmail, 
+  followUser
+);
+
+router.delete('/:id/follow', authenticate, unfollowUser);
+
+// A user's followers and the users they follow (all authenticated users)
+router.get('/:id/followers', authenticate, getFollowers);
+
+router.get('/:id/following', authenticate, getFollowing);
+
+// User management (admins only)
+router.get('/', 
+  authenticate, 
+  authorizeRoles('admin'), 
+  getUsers
+);
+
+router.get('/:id', 
+  authenticate, 
+  authorizeRoles('admin'), 
+  getUserActivity
+);
+
+router.patch('/:id/role', 
+  authenticate, 
+  authorizeRoles('admin'), 
+  changeUserRole
+);
+
+router.post('/:id/suspend', 
+  authenticate, 
+  authorizeRoles('admin'), 
+  suspendUser
+);
+
+router.post('/:id/ban', 
+  authenticate, 
+  authorizeRoles('admin'), 
+  banUser
+);
+
+router.delete('/:id/suspension', 
+  authenticate, 
+  authorizeRoles('admin'), 
+  liftSuspension
+);
+
+router.post('/:id/force-password-reset', 
+  authenticate, 
+  authorizeRoles('admin'), 
+  forcePasswordReset
+);
+
+module.exports = router;
@@ -3,23 +3,47 @@ const {
   uploadVideo, 
   getVideos, 
   getVideoById, 
+  getMyVideos, 
+  getMyVideoStats, 
+  streamVideo, 
   likeVideo, 
+  unlikeVideo, 
+  toggleLike, 
   getVideoStats, 
   deleteVideo,
-  getVideoAnalytics
+  getVideoAnalytics,
+  getFeed,
+  streamHls
 } = require('../controllers/video');
-const { authenticate, authorizeRoles } = require('../middleware/auth');
+const {
+  createUploadSession,
+  getUploadStatus,
+  uploadChunk,
+  completeUpload,
+  abortUpload
+} = require('../controllers/upload');
+const { searchVideos } = require('../controllers/search');
+const { getRelatedVideos, getTrendingVideos } = require('../controllers/recommendation');
+const { updateProgress } = require('../controllers/history');
+const {
+  getModerationQueue,
+  approveVideo,
+  rejectVideo,
+  getModerationStatus,
+  resubmitVideo
+} = require('../controllers/moderation');
+const { authenticate, authorizeRoles, requireVerifiedEmail } = require('../middleware/auth');
+const { VIDEO_MIME_TYPES } = require('../services/validation');
 const multer = require('multer');
-const path = require('path');
+const os = require('os');
+
+const IMAGE_MIME_TYPES = ['image/jpeg', 'image/png'];
 
-// Configure multer for memory storage (to upload directly to Azure)
+// Configure multer to spool files to disk so large videos never sit in memory
 const upload = multer({
-  storage: multer.memoryStorage(),
-  limits: {
-    fileSize: 100 * 1024 * 1024 // 100 MB file size limit
-  },
+  dest: os.tmpdir(),
   fileFilter: (req, file, cb) => {
-    const allowedTypes = ['video/mp4', 'video/mpeg', 'video/quicktime', 'image/jpeg', 'image/png'];
+    const allowedTypes = [...VIDEO_MIME_TYPES, ...IMAGE_MIME_TYPES];
     
     if (allowedTypes.includes(file.mimetype)) {
       cb(null, true);
@@ -29,6 +53,21 @@ const upload = multer({
   }
 });
 
+// Thumbnails sent when finalizing a chunked upload are small, so keep them in memory
+const thumbnailUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024 // 5 MB file size limit
+  },
+  fileFilter: (req, file, cb) => {
+    if (IMAGE_MIME_TYPES.includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Invalid file type. Only JPEG/PNG images are allowed.'), false);
+    }
+  }
+});
+
 const router = express.Router();
 
 // Get video analytics for all videos (admins only) - MUST BE BEFORE DYNAMIC ROUTES
@@ -38,10 +77,17 @@ router.get('/all-analytics',
   getVideoAnalytics
 );
 
-// Video upload (protected: admin only)
-router.post('/upload', 
+// Pending videos, oldest first (admins only)
+router.get('/moderation/queue', 
   authenticate, 
   authorizeRoles('admin'), 
+  getModerationQueue
+);
+
+// Video upload (protected: admins and creators)
+router.post('/upload', 
+  authenticate, 
+  authorizeRoles('admin', 'creator'), 
   upload.fields([
     { name: 'video', maxCount: 1 },
     { name: 'thumbnail', maxCount: 1 }
@@ -49,37 +95,135 @@ router.post('/upload',
   uploadVideo
 );
 
+// Resumable chunked uploads (protected: admins and creators)
+router.post('/uploads', 
+  authenticate, 
+  authorizeRoles('admin', 'creator'), 
+  createUploadSession
+);
+
+router.get('/uploads/:uploadId', 
+  authenticate, 
+  authorizeRoles('admin', 'creator'), 
+  getUploadStatus
+);
+
+router.patch('/uploads/:uploadId', 
+  authenticate, 
+  authorizeRoles('admin', 'creator'), 
+  uploadChunk
+);
+
+router.put('/uploads/:uploadId', 
+  authenticate, 
+  authorizeRoles('admin', 'creator'), 
+  uploadChunk
+);
+
+router.post('/uploads/:uploadId/complete', 
+  authenticate, 
+  authorizeRoles('admin', 'creator'), 
+  thumbnailUpload.single('thumbnail'), 
+  completeUpload
+);
+
+router.delete('/uploads/:uploadId', 
+  authenticate, 
+  authorizeRoles('admin', 'creator'), 
+  abortUpload
+);
+
+// The current uploader's own videos and stats (admins and creators)
+router.get('/mine', 
+  authenticate, 
+  authorizeRoles('admin', 'creator'), 
+  getMyVideos
+);
+
+router.get('/mine/stats', 
+  authenticate, 
+  authorizeRoles('admin', 'creator'), 
+  getMyVideoStats
+);
+
 // Get videos (all authenticated users)
 router.get('/', authenticate, getVideos);
 
+// Full-text search with filters and facets (all authenticated users)
+router.get('/search', authenticate, searchVideos);
+
+// Trending videos over a window, optionally for one tag (all authenticated users)
+router.get('/trending', authenticate, getTrendingVideos);
+
+// Newest videos from followed uploaders, paginated with `cursor` (all authenticated users)
+router.get('/feed', authenticate, getFeed);
+
 // Get specific video (all authenticated users)
 router.get('/:id', authenticate, getVideoById);
 
-// Like video (only consumers)
-router.post('/:id/like', 
+// Videos to watch next (all authenticated users)
+router.get('/:id/related', authenticate, getRelatedVideos);
+
+// Stream video bytes with HTTP range support (all authenticated users)
+router.get('/:id/stream', authenticate, streamVideo);
+
+// HLS playlists and segments, with the same access rules (all authenticated users)
+router.get('/:id/hls/*', authenticate, streamHls);
+
+// Save how far into the video the user has watched (all authenticated users)
+router.put('/:id/progress', authenticate, updateProgress);
+
+// Like video (only consumers and creators); PUT and DELETE are idempotent, POST toggles
+router.put('/:id/like', 
   authenticate, 
-  authorizeRoles('consumer'), 
+  authorizeRoles('consumer', 'creator'), 
+  requireVerifiedEmail, 
   likeVideo
 );
 
-// Get video stats (admins only)
-router.get('/:id/stats', 
+router.delete('/:id/like', 
+  authenticate, 
+  authorizeRoles('consumer', 'creator'), 
+  unlikeVideo
+);
+
+router.post('/:id/like', 
+  authenticate, 
+  authorizeRoles('consumer', 'creator'), 
+  requireVerifiedEmail, 
+  toggleLike
+);
+
+// Approve or reject a video (admins only)
+router.post('/:id/approve', 
   authenticate, 
   authorizeRoles('admin'), 
-  getVideoStats
+  approveVideo
 );
 
-// Delete a video (admin only)
-router.delete('/:id', 
+router.post('/:id/reject', 
   authenticate, 
   authorizeRoles('admin'), 
-  deleteVideo
+  rejectVideo
 );
 
-// Delete a video (admin only)
+// Moderation status, rejection reason and history (uploader or admin)
+router.get('/:id/moderation', authenticate, getModerationStatus);
+
+// Resubmit a rejected video for review (uploader only)
+router.post('/:id/resubmit', authenticate, resubmitVideo);
+
+// Get video stats (admins, and creators for their own videos)
+router.get('/:id/stats', 
+  authenticate, 
+  authorizeRoles('admin', 'creator'), 
+  getVideoStats
+);
+
+// Delete a video (admins, and creators for their own videos)
 router.delete('/:id', 
   authenticate, 
-  authorizeRoles('admin'), 
+  authorizeRoles('admin', 'creator'), 
   deleteVideo
 );
 
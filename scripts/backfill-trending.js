@@ -0,0 +1,79 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Like = require('../models/Like');
+const Comment = require('../models/Comment');
+const WatchHistory = require('../models/WatchHistory');
+const VideoActivity = require('../models/VideoActivity');
+const { updateTrending } = require('../services/trending');
+
+const HOUR_MS = 60 * 60 * 1000;
+// The longest trending window
+const BACKFILL_DAYS = 30;
+
+// Seed the hourly activity that trending is scored from, for engagement that happened
+// before it was recorded: likes and comments by when they were made, and views by each
+// user's latest watch of a video (earlier plays were never stored). Then recalculate
+// trending. Safe to run more than once: each hour keeps the higher of the stored and
+// backfilled counts, so activity recorded live is never lowered.
+const countPerHour = (Model, match, dateField) => Model.aggregate([
+  { $match: { ...match, [dateField]: { $gte: new Date(Date.now() - BACKFILL_DAYS * 24 * HOUR_MS) } } },
+  {
+    $group: {
+      _id: {
+        video: '$video',
+        hour: { $subtract: [`$${dateField}`, { $mod: [{ $toLong: `$${dateField}` }, HOUR_MS] }] }
+      },
+      count: { $sum: 1 }
+    }
+  }
+]);
+
+async function backfillTrending() {
+  if (!process.env.MONGO_URI) {
+    console.error('MONGO_URI is not set');
+    process.exitCode = 1;
+    return;
+  }
+
+  try {
+    await mongoose.connect(process.env.MONGO_URI, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true
+    });
+
+    await VideoActivity.init();
+
+    const sources = {
+      likes: await countPerHour(Like, {}, 'createdAt'),
+      comments: await countPerHour(Comment, { deletedAt: null }, 'createdAt'),
+      views: await countPerHour(WatchHistory, {}, 'watchedAt')
+    };
+
+    let buckets = 0;
+    for (const [field, counts] of Object.entries(sources)) {
+      if (counts.length === 0) continue;
+
+      const result = await VideoActivity.bulkWrite(counts.map(({ _id, count }) => ({
+        updateOne: {
+          filter: { video: _id.video, hour: _id.hour },
+          update: { $max: { [field]: count } },
+          upsert: true
+        }
+      })), { ordered: false });
+      buckets += result.upsertedCount;
+
+      console.log(`${counts.length} hours of ${field} backfilled`);
+    }
+
+    await updateTrending();
+
+    console.log(`Backfill complete: ${buckets} activity buckets created, trending recalculated`);
+  } catch (error) {
+    console.error('Error backfilling trending:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+  }
+}
+
+backfillTrending();
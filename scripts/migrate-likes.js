@@ -0,0 +1,75 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Video = require('../models/Video');
+const Like = require('../models/Like');
+const User = require('../models/User');
+
+// Move the legacy `likedBy` arrays on videos into the likes collection.
+// Safe to run more than once: existing likes are kept and each video's
+// `likes` counter is recomputed from the collection before `likedBy` is dropped.
+async function migrateLikes() {
+  if (!process.env.MONGO_URI) {
+    console.error('MONGO_URI is not set');
+    process.exitCode = 1;
+    return;
+  }
+
+  const summary = { videos: 0, likes: 0, skipped: 0 };
+
+  try {
+    await mongoose.connect(process.env.MONGO_URI, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true
+    });
+
+    await Like.init();
+
+    // `likedBy` is no longer in the schema, so read it from the raw collection
+    const cursor = Video.collection.find(
+      { likedBy: { $exists: true } },
+      { projection: { likedBy: 1 } }
+    );
+
+    for await (const video of cursor) {
+      const userIds = [...new Set((video.likedBy || []).map(String))];
+      const existing = new Set(
+        (await User.find({ _id: { $in: userIds } }).distinct('_id')).map(String)
+      );
+      summary.skipped += userIds.length - existing.size;
+
+      if (existing.size > 0) {
+        const result = await Like.bulkWrite(
+          [...existing].map(userId => ({
+            updateOne: {
+              filter: { user: userId, video: video._id },
+              update: { $setOnInsert: { user: userId, video: video._id } },
+              upsert: true
+            }
+          })),
+          { ordered: false }
+        );
+        summary.likes += result.upsertedCount;
+      }
+
+      const likes = await Like.countDocuments({ video: video._id });
+      await Video.collection.updateOne(
+        { _id: video._id },
+        { $set: { likes }, $unset: { likedBy: '' } }
+      );
+
+      summary.videos += 1;
+    }
+
+    console.log(
+      `Migrated ${summary.videos} videos: ${summary.likes} likes created, ` +
+      `${summary.skipped} likes from deleted users dropped`
+    );
+  } catch (error) {
+    console.error('Error migrating likes:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+  }
+}
+
+migrateLikes();
@@ -0,0 +1,187 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Video = require('../models/Video');
+const Comment = require('../models/Comment');
+const Like = require('../models/Like');
+const User = require('../models/User');
+const Follow = require('../models/Follow');
+
+// Recompute every video's `comments` and `likes`, every comment's `replyCount` and
+// every user's `followerCount` and `followingCount` from the collections they count,
+// and report any drift.
+// Pass --dry-run to report without writing.
+const dryRun = process.argv.includes('--dry-run');
+
+const countBy = async (Model, match, field = 'video') => {
+  const counts = await Model.aggregate([
+    { $match: match },
+    { $group: { _id: `$${field}`, count: { $sum: 1 } } }
+  ]);
+  return new Map(counts.map(({ _id, count }) => [_id.toString(), count]));
+};
+
+// Likes left behind by deleted accounts or videos do not count
+const removeOrphanedLikes = async () => {
+  const userIds = await Like.distinct('user');
+  const existingUsers = new Set((await User.find({ _id: { $in: userIds } }).distinct('_id')).map(String));
+  const missingUsers = userIds.filter(id => !existingUsers.has(id.toString()));
+
+  const videoIds = await Like.distinct('video');
+  const existingVideos = new Set((await Video.find({ _id: { $in: videoIds } }).distinct('_id')).map(String));
+  const missingVideos = videoIds.filter(id => !existingVideos.has(id.toString()));
+
+  const filter = { $or: [{ user: { $in: missingUsers } }, { video: { $in: missingVideos } }] };
+  const orphaned = await Like.countDocuments(filter);
+
+  if (orphaned > 0) {
+    console.log(`${orphaned} likes from deleted users or on deleted videos${dryRun ? '' : ' removed'}`);
+    if (!dryRun) await Like.deleteMany(filter);
+  }
+};
+
+async function reconcileCounters() {
+  if (!process.env.MONGO_URI) {
+    console.error('MONGO_URI is not set');
+    process.exitCode = 1;
+    return;
+  }
+
+  const summary = { scanned: 0, drifted: 0, fixed: 0, skipped: 0 };
+  const commentSummary = { scanned: 0, drifted: 0, fixed: 0, skipped: 0 };
+  const userSummary = { scanned: 0, drifted: 0, fixed: 0, skipped: 0 };
+
+  try {
+    await mongoose.connect(process.env.MONGO_URI, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true
+    });
+
+    await removeOrphanedLikes();
+
+    const commentCounts = await countBy(Comment, { deletedAt: null });
+    const likeCounts = await countBy(Like, {});
+    const cursor = Video.find().select('title comments likes').lean().cursor();
+
+    for await (const video of cursor) {
+      summary.scanned += 1;
+
+      const expected = {
+        comments: commentCounts.get(video._id.toString()) || 0,
+        likes: likeCounts.get(video._id.toString()) || 0
+      };
+
+      const drift = Object.keys(expected)
+        .filter(field => (video[field] || 0) !== expected[field])
+        .map(field => `${field} ${video[field] || 0} -> ${expected[field]}`);
+
+      if (drift.length === 0) continue;
+
+      summary.drifted += 1;
+      console.log(`${video._id} "${video.title}": ${drift.join(', ')}`);
+
+      if (dryRun) continue;
+
+      // Only write if nobody liked or commented since the video was read
+      const result = await Video.updateOne(
+        { _id: video._id, comments: video.comments ?? null, likes: video.likes ?? null },
+        { $set: expected }
+      );
+
+      if (result.modifiedCount > 0) {
+        summary.fixed += 1;
+      } else {
+        summary.skipped += 1;
+        console.log(`${video._id}: changed during reconciliation, skipped; run again to fix`);
+      }
+    }
+
+    // Deleted and hidden replies are not counted
+    const replyCounts = await countBy(
+      Comment,
+      { parent: { $ne: null }, deletedAt: null, hiddenAt: null },
+      'parent'
+    );
+    const commentCursor = Comment.find({ parent: null }).select('replyCount').lean().cursor();
+
+    for await (const comment of commentCursor) {
+      commentSummary.scanned += 1;
+
+      const current = comment.replyCount || 0;
+      const expected = replyCounts.get(comment._id.toString()) || 0;
+      if (current === expected) continue;
+
+      commentSummary.drifted += 1;
+      console.log(`comment ${comment._id}: replyCount ${current} -> ${expected}`);
+
+      if (dryRun) continue;
+
+      // Only write if nobody replied since the comment was read; engagement counts two per reply
+      const result = await Comment.updateOne(
+        { _id: comment._id, replyCount: comment.replyCount ?? null },
+        { $set: { replyCount: expected }, $inc: { engagement: 2 * (expected - current) } }
+      );
+
+      if (result.modifiedCount > 0) {
+        commentSummary.fixed += 1;
+      } else {
+        commentSummary.skipped += 1;
+        console.log(`comment ${comment._id}: changed during reconciliation, skipped; run again to fix`);
+      }
+    }
+
+    const followerCounts = await countBy(Follow, {}, 'following');
+    const followingCounts = await countBy(Follow, {}, 'follower');
+    const userCursor = User.find().select('email followerCount followingCount').lean().cursor();
+
+    for await (const user of userCursor) {
+      userSummary.scanned += 1;
+
+      const expected = {
+        followerCount: followerCounts.get(user._id.toString()) || 0,
+        followingCount: followingCounts.get(user._id.toString()) || 0
+      };
+
+      const drift = Object.keys(expected)
+        .filter(field => (user[field] || 0) !== expected[field])
+        .map(field => `${field} ${user[field] || 0} -> ${expected[field]}`);
+
+      if (drift.length === 0) continue;
+
+      userSummary.drifted += 1;
+      console.log(`${user._id} <${user.email}>: ${drift.join(', ')}`);
+
+      if (dryRun) continue;
+
+      // Only write if nobody followed or unfollowed since the user was read
+      const result = await User.updateOne(
+        {
+          _id: user._id,
+          followerCount: user.followerCount ?? null,
+          followingCount: user.followingCount ?? null
+        },
+        { $set: expected }
+      );
+
+      if (result.modifiedCount > 0) {
+        userSummary.fixed += 1;
+      } else {
+        userSummary.skipped += 1;
+        console.log(`${user._id}: changed during reconciliation, skipped; run again to fix`);
+      }
+    }
+
+    for (const [label, counts] of [['videos', summary], ['comments', commentSummary], ['users', userSummary]]) {
+      console.log(
+        `Scanned ${counts.scanned} ${label}, ${counts.drifted} drifted` +
+        (dryRun ? ' (dry run, nothing written)' : `, ${counts.fixed} fixed, ${counts.skipped} skipped`)
+      );
+    }
+  } catch (error) {
+    console.error('Error reconciling counters:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+  }
+}
+
+reconcileCounters();
@@ -1,12 +1,23 @@
 require('dotenv').config();
+const path = require('path');
 const express = require('express');
 const cors = require('cors');
 const connectDB = require('./config/db');
+const { getStorage } = require('./services/storage');
+const { startJobWorkers } = require('./services/jobs');
+const { startTrendingUpdates } = require('./services/trending');
+const { startUploadSweeper } = require('./services/uploads');
 
 // Import routes
 const auth = require('./routes/auth');
 const video = require('./routes/video');
 const comment = require('./routes/comment');
+const job = require('./routes/job');
+const user = require('./routes/user');
+const tag = require('./routes/tag');
+const history = require('./routes/history');
+const playlist = require('./routes/playlist');
+const notification = require('./routes/notification');
 const router = express.Router();
 
 const app = express();
@@ -20,14 +31,39 @@ app.use(cors());
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
+// Serve public images from disk when using the local storage driver; video files and
+// HLS output are only served through /api/videos/:id/stream and /hls, which check access
+const storage = getStorage();
+if (storage.name === 'local') {
+  const basePath = new URL(storage.baseUrl, 'http://localhost').pathname;
+  for (const folder of ['thumbnails', 'avatars']) {
+    app.use(`${basePath}/${folder}`, express.static(path.join(storage.root, folder)));
+  }
+}
+
 // Connect to database
 connectDB();
 
+// Start background workers for media processing jobs
+startJobWorkers();
+
+// Recalculate trending scores periodically
+startTrendingUpdates();
+
+// Abort expired upload sessions and delete their chunks
+startUploadSweeper();
+
 // Routes
 app.use('/', router.get('/', (req, res)=>(res.json({ message: 'Welcome to Beatly API' }))));
 app.use('/api/auth', auth);
 app.use('/api/videos', video);
 app.use('/api/comments', comment);
+app.use('/api/jobs', job);
+app.use('/api/users', user);
+app.use('/api/tags', tag);
+app.use('/api/history', history);
+app.use('/api/playlists', playlist);
+app.use('/api/notifications', notification);
 
 // Health check route
 app.get('/health', (req, res) => {
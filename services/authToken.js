@@ -0,0 +1,40 @@
+const crypto = require('crypto');
+const AuthToken = require('../models/AuthToken');
+
+// How long each kind of token stays valid
+const TOKEN_TTL_MS = {
+  'email-verification': 48 * 60 * 60 * 1000, // 48 hours
+  'password-reset': 60 * 60 * 1000 // 1 hour
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// Create a token for a user, invalidating earlier unused tokens of the same type
+const issueToken = async (user, type, email = user.email) => {
+  const token = crypto.randomBytes(32).toString('base64url');
+
+  await AuthToken.deleteMany({ user: user._id, type, usedAt: null });
+  await AuthToken.create({
+    user: user._id,
+    type,
+    email,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + TOKEN_TTL_MS[type])
+  });
+
+  return token;
+};
+
+// Mark a token as used and return it, or null if it is unknown, expired or already used
+const consumeToken = (token, type) => AuthToken.findOneAndUpdate(
+  {
+    tokenHash: hashToken(token),
+    type,
+    usedAt: null,
+    expiresAt: { $gt: new Date() }
+  },
+  { usedAt: new Date() },
+  { new: true }
+);
+
+module.exports = { issueToken, consumeToken };
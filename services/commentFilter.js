@@ -0,0 +1,55 @@
+const fs = require('fs');
+const logger = require('../config/logger');
+
+// Blocked words come from COMMENT_BLOCKED_WORDS (comma separated) and, along with
+// regular expressions, from the JSON file at COMMENT_FILTER_FILE:
+// { "words": ["..."], "patterns": ["..."] }
+let rules = null;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const readFilterFile = (file) => {
+  try {
+    const { words = [], patterns = [] } = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return { words, patterns };
+  } catch (error) {
+    logger.error('Failed to load comment filter file', { file, error: error.message });
+    return { words: [], patterns: [] };
+  }
+};
+
+const loadRules = () => {
+  const fromFile = process.env.COMMENT_FILTER_FILE
+    ? readFilterFile(process.env.COMMENT_FILTER_FILE)
+    : { words: [], patterns: [] };
+  const words = [
+    ...(process.env.COMMENT_BLOCKED_WORDS || '').split(','),
+    ...fromFile.words
+  ].map(word => word.trim()).filter(Boolean);
+
+  // Words match whole words only, ignoring case
+  const compiled = words.map(word => ({
+    rule: word,
+    regex: new RegExp(`(^|[^\\p{L}\\p{N}])${escapeRegex(word)}($|[^\\p{L}\\p{N}])`, 'iu')
+  }));
+
+  for (const pattern of fromFile.patterns) {
+    try {
+      compiled.push({ rule: pattern, regex: new RegExp(pattern, 'iu') });
+    } catch (error) {
+      logger.error('Ignoring invalid comment filter pattern', { pattern, error: error.message });
+    }
+  }
+
+  return compiled;
+};
+
+// The blocked word or pattern the text matches, or null when it is allowed
+const findBlockedTerm = (text) => {
+  if (!rules) rules = loadRules();
+  return rules.find(({ regex }) => regex.test(text))?.rule ?? null;
+};
+
+module.exports = {
+  findBlockedTerm
+};
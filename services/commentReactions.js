@@ -0,0 +1,82 @@
+const CommentReaction = require('../models/CommentReaction');
+const Comment = require('../models/Comment');
+
+const REACTION_TYPES = CommentReaction.schema.path('type').enumValues;
+
+const adjustCounts = (commentId, changes) => {
+  const inc = {};
+  let total = 0;
+  for (const [type, delta] of Object.entries(changes)) {
+    inc[`reactions.${type}`] = delta;
+    total += delta;
+  }
+  if (total !== 0) {
+    inc.reactionCount = total;
+    inc.engagement = total;
+  }
+  return Comment.updateOne({ _id: commentId }, { $inc: inc });
+};
+
+const currentReactions = async (commentId) => {
+  const comment = await Comment.findById(commentId).select('reactions reactionCount').lean();
+  return {
+    reactions: comment?.reactions || {},
+    reactionCount: comment?.reactionCount || 0
+  };
+};
+
+// Add or change the user's reaction; reacting the same way again changes nothing
+const setReaction = async (userId, comment, type) => {
+  let previous;
+  try {
+    previous = await CommentReaction.findOneAndUpdate(
+      { user: userId, comment: comment._id },
+      { $set: { type }, $setOnInsert: { video: comment.video } },
+      { upsert: true, new: false }
+    );
+  } catch (error) {
+    // Two first reactions raced on the unique index; the other request created it
+    if (error.code !== 11000) throw error;
+    previous = await CommentReaction.findOneAndUpdate(
+      { user: userId, comment: comment._id },
+      { $set: { type } },
+      { new: false }
+    );
+  }
+
+  if (!previous) {
+    await adjustCounts(comment._id, { [type]: 1 });
+  } else if (previous.type !== type) {
+    await adjustCounts(comment._id, { [previous.type]: -1, [type]: 1 });
+  }
+
+  return { reaction: type, ...(await currentReactions(comment._id)) };
+};
+
+const removeReaction = async (userId, commentId) => {
+  const removed = await CommentReaction.findOneAndDelete({ user: userId, comment: commentId });
+  if (removed) {
+    await adjustCounts(commentId, { [removed.type]: -1 });
+  }
+
+  return { reaction: null, ...(await currentReactions(commentId)) };
+};
+
+// Take back every reaction a user has given, e.g. when their account is deleted
+const removeUserReactions = async (userId) => {
+  const reactions = await CommentReaction.find({ user: userId }).select('comment type').lean();
+
+  for (const reaction of reactions) {
+    const { deletedCount } = await CommentReaction.deleteOne({ _id: reaction._id });
+    if (deletedCount > 0) {
+      await adjustCounts(reaction.comment, { [reaction.type]: -1 });
+    }
+  }
+};
+
+module.exports = {
+  REACTION_TYPES,
+  setReaction,
+  removeReaction,
+  removeUserReactions
+};
@@ -0,0 +1,45 @@
+const CommentReport = require('../models/CommentReport');
+const Comment = require('../models/Comment');
+
+// Withdraw one open report from its comment's count. A comment hidden by reports that
+// has none left comes back, since nothing is waiting for review any more.
+const withdrawOpenReport = async (commentId) => {
+  await Comment.updateOne(
+    { _id: commentId, openReports: { $gt: 0 } },
+    { $inc: { openReports: -1 } }
+  );
+
+  const shown = await Comment.findOneAndUpdate(
+    { _id: commentId, openReports: 0, hiddenAt: { $ne: null }, deletedAt: null },
+    { hiddenAt: null }
+  ).select('parent').lean();
+
+  if (shown?.parent) {
+    await Comment.changeReplyCount(shown.parent, 1);
+  }
+};
+
+// Remove the reports a user filed and the reports on the user's comments, e.g. when
+// the account is deleted. Call it after the user's comments were soft-deleted.
+const removeUserReports = async (userId) => {
+  const filed = await CommentReport.find({ reporter: userId }).select('comment status').lean();
+
+  for (const report of filed) {
+    const { deletedCount } = await CommentReport.deleteOne({ _id: report._id });
+    if (deletedCount > 0 && report.status === 'open') {
+      await withdrawOpenReport(report.comment);
+    }
+  }
+
+  const commentIds = await Comment.find({ user: userId }).distinct('_id');
+  await CommentReport.deleteMany({ comment: { $in: commentIds } });
+  await Comment.updateMany({ _id: { $in: commentIds } }, { openReports: 0, hiddenAt: null });
+};
+
+// Remove every report on a set of comments, e.g. before the comments are deleted with their video
+const removeCommentReports = (commentIds) => CommentReport.deleteMany({ comment: { $in: commentIds } });
+
+module.exports = {
+  removeUserReports,
+  removeCommentReports
+};
@@ -0,0 +1,43 @@
+const { getMailer } = require('./mailer');
+const logger = require('../config/logger');
+
+const appUrl = () => (process.env.APP_URL || 'http://localhost:3000').replace(/\/+$/, '');
+
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, (char) => ({
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+}[char]));
+
+// Send an email without failing the request that triggered it
+const sendSafely = async (message) => {
+  try {
+    await getMailer().send(message);
+  } catch (error) {
+    logger.error('Failed to send email', { to: message.to, subject: message.subject, error: error.message });
+  }
+};
+
+const sendVerificationEmail = (user, token, email = user.email) => {
+  const link = `${appUrl()}/verify-email?token=${encodeURIComponent(token)}`;
+  return sendSafely({
+    to: email,
+    subject: 'Confirm your Beatly email address',
+    text: `Hi ${user.name},\n\nConfirm your email address by opening this link:\n${link}\n\nThe link expires in 48 hours.`,
+    html: `<p>Hi ${escapeHtml(user.name)},</p><p><a href="${link}">Confirm your email address</a>.</p><p>The link expires in 48 hours.</p>`
+  });
+};
+
+const sendPasswordResetEmail = (user, token) => {
+  const link = `${appUrl()}/reset-password?token=${encodeURIComponent(token)}`;
+  return sendSafely({
+    to: user.email,
+    subject: 'Reset your Beatly password',
+    text: `Hi ${user.name},\n\nReset your password by opening this link:\n${link}\n\nThe link expires in 1 hour. If you did not ask for this, you can ignore this email.`,
+    html: `<p>Hi ${escapeHtml(user.name)},</p><p><a href="${link}">Reset your password</a>.</p><p>The link expires in 1 hour. If you did not ask for this, you can ignore this email.</p>`
+  });
+};
+
+module.exports = { sendVerificationEmail, sendPasswordResetEmail };
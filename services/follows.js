@@ -0,0 +1,74 @@
+const Follow = require('../models/Follow');
+const User = require('../models/User');
+
+const counts = async (userId) => {
+  const user = await User.findById(userId).select('followerCount followingCount').lean();
+  return {
+    followerCount: user?.followerCount ?? 0,
+    followingCount: user?.followingCount ?? 0
+  };
+};
+
+const adjustCounts = (followerId, followingId, change) => Promise.all([
+  User.updateOne({ _id: followerId }, { $inc: { followingCount: change } }),
+  User.updateOne({ _id: followingId }, { $inc: { followerCount: change } })
+]);
+
+// Follow a user; following them again changes nothing. Counts are the followed user's
+const followUser = async (followerId, followingId) => {
+  try {
+    await Follow.create({ follower: followerId, following: followingId });
+    await adjustCounts(followerId, followingId, 1);
+  } catch (error) {
+    // The unique (follower, following) index rejects a second follow
+    if (error.code !== 11000) throw error;
+  }
+
+  return { following: true, ...(await counts(followingId)) };
+};
+
+// Stop following a user; unfollowing someone not followed changes nothing
+const unfollowUser = async (followerId, followingId) => {
+  const removed = await Follow.findOneAndDelete({ follower: followerId, following: followingId });
+  if (removed) {
+    await adjustCounts(followerId, followingId, -1);
+  }
+
+  return { following: false, ...(await counts(followingId)) };
+};
+
+// Ids of everyone the user follows
+const followingIds = async (userId) => {
+  const follows = await Follow.find({ follower: userId }).select('following').lean();
+  return follows.map(follow => follow.following);
+};
+
+// Ids (as strings) of the given users that the user follows
+const followedUserIds = async (userId, userIds) => {
+  const follows = await Follow.find({ follower: userId, following: { $in: userIds } })
+    .select('following')
+    .lean();
+  return new Set(follows.map(follow => follow.following.toString()));
+};
+
+// Remove a user's follows in both directions, e.g. when their account is deleted
+const removeUserFollows = async (userId) => {
+  const follows = await Follow.find({ $or: [{ follower: userId }, { following: userId }] })
+    .select('follower following')
+    .lean();
+
+  for (const follow of follows) {
+    const { deletedCount } = await Follow.deleteOne({ _id: follow._id });
+    if (deletedCount > 0) {
+      await adjustCounts(follow.follower, follow.following, -1);
+    }
+  }
+};
+
+module.exports = {
+  followUser,
+  unfollowUser,
+  followingIds,
+  followedUserIds,
+  removeUserFollows
+};
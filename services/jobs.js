@@ -0,0 +1,68 @@
+const path = require('path');
+const Video = require('../models/Video');
+const { getStorage, buildKey } = require('./storage');
+const { generateThumbnail, withLocalCopy } = require('./media');
+const { transcodeVideo } = require('./transcode');
+const { registerHandler, enqueue, startWorkers } = require('./queue');
+
+// Generate and store a thumbnail for a video uploaded without one
+const thumbnailHandler = async ({ videoId }) => {
+  const video = await Video.findById(videoId);
+  if (!video) {
+    return { skipped: 'Video no longer exists' };
+  }
+  if (video.thumbnail) {
+    return { skipped: 'Video already has a thumbnail' };
+  }
+
+  const storage = getStorage();
+  const storageKey = video.storageKey || storage.keyFromUrl(video.url);
+  const thumbnailBuffer = await withLocalCopy(storageKey, generateThumbnail);
+  const originalname = path.posix.basename(storageKey);
+
+  const storedThumbnail = await storage.put(
+    buildKey('thumbnails', `${path.basename(originalname, path.extname(originalname))}_thumbnail.png`),
+    thumbnailBuffer,
+    { contentType: 'image/png' }
+  );
+
+  await Video.updateOne(
+    { _id: video._id },
+    { thumbnail: storedThumbnail.url, thumbnailKey: storedThumbnail.key }
+  );
+
+  return { thumbnail: storedThumbnail.url };
+};
+
+const transcodeHandler = async ({ videoId }) => {
+  if (!(await Video.exists({ _id: videoId }))) {
+    return { skipped: 'Video no longer exists' };
+  }
+  await transcodeVideo(videoId);
+  return null;
+};
+
+// Every attempt failed, or kept stopping its worker: the video will not get an HLS ladder
+const markTranscodeFailed = async ({ videoId }, job) => {
+  await Video.updateOne(
+    { _id: videoId },
+    { processingStatus: 'failed', processingError: job.lastError }
+  );
+};
+
+registerHandler('thumbnail', thumbnailHandler, { concurrency: 2, maxAttempts: 3 });
+registerHandler('transcode', transcodeHandler, {
+  concurrency: 1,
+  maxAttempts: 3,
+  onDead: markTranscodeFailed
+});
+
+// Queue the media processing a freshly uploaded video needs
+const enqueueVideoProcessing = async (video) => {
+  if (!video.thumbnail) {
+    await enqueue('thumbnail', { videoId: video._id });
+  }
+  await enqueue('transcode', { videoId: video._id });
+};
+
+module.exports = { enqueueVideoProcessing, startJobWorkers: startWorkers };
@@ -0,0 +1,65 @@
+const Like = require('../models/Like');
+const Video = require('../models/Video');
+const { recordActivity } = require('./trending');
+
+const currentLikes = async (videoId) => {
+  const video = await Video.findById(videoId).select('likes').lean();
+  return video?.likes ?? 0;
+};
+
+// Like a video; liking it again changes nothing
+const likeVideo = async (userId, videoId) => {
+  try {
+    await Like.create({ user: userId, video: videoId });
+    await Video.updateOne({ _id: videoId }, { $inc: { likes: 1 } });
+    await recordActivity(videoId, { likes: 1 });
+  } catch (error) {
+    // The unique (user, video) index rejects a second like
+    if (error.code !== 11000) throw error;
+  }
+
+  return { liked: true, likes: await currentLikes(videoId) };
+};
+
+// Remove a like; unliking a video that is not liked changes nothing
+const unlikeVideo = async (userId, videoId) => {
+  const removed = await Like.findOneAndDelete({ user: userId, video: videoId });
+  if (removed) {
+    await Video.updateOne({ _id: videoId }, { $inc: { likes: -1 } });
+    await recordActivity(videoId, { likes: -1 });
+  }
+
+  return { liked: false, likes: await currentLikes(videoId) };
+};
+
+const toggleLike = async (userId, videoId) => (
+  (await Like.exists({ user: userId, video: videoId }))
+    ? unlikeVideo(userId, videoId)
+    : likeVideo(userId, videoId)
+);
+
+// Ids (as strings) of the given videos that the user has liked
+const likedVideoIds = async (userId, videoIds) => {
+  const likes = await Like.find({ user: userId, video: { $in: videoIds } }).select('video').lean();
+  return new Set(likes.map(like => like.video.toString()));
+};
+
+// Take back every like a user has given, e.g. when their account is deleted
+const removeUserLikes = async (userId) => {
+  const likes = await Like.find({ user: userId }).select('video').lean();
+
+  for (const like of likes) {
+    const { deletedCount } = await Like.deleteOne({ _id: like._id });
+    if (deletedCount > 0) {
+      await Video.updateOne({ _id: like.video }, { $inc: { likes: -1 } });
+    }
+  }
+};
+
+module.exports = {
+  likeVideo,
+  unlikeVideo,
+  toggleLike,
+  likedVideoIds,
+  removeUserLikes
+};
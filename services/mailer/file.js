@@ -0,0 +1,23 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../../config/logger');
+
+// Development driver: writes each message to a JSON file, or only logs it when no directory is set
+const createFileMailer = ({ dir, from }) => ({
+  name: dir ? 'file' : 'console',
+
+  async send({ to, subject, text, html }) {
+    const message = { from, to, subject, text, html, sentAt: new Date().toISOString() };
+
+    if (!dir) {
+      logger.info('Email (console mailer)', { to, subject, text });
+      return;
+    }
+
+    await fs.promises.mkdir(dir, { recursive: true });
+    const filename = `${Date.now()}-${to.replace(/[^a-z0-9@.-]/gi, '_')}.json`;
+    await fs.promises.writeFile(path.join(dir, filename), JSON.stringify(message, null, 2));
+  }
+});
+
+module.exports = createFileMailer;
@@ -0,0 +1,41 @@
+const createSmtpMailer = require('./smtp');
+const createFileMailer = require('./file');
+
+/**
+ * Mailers share one interface: send({ to, subject, text, html }).
+ *
+ * The driver is chosen with MAIL_DRIVER: "smtp", "file" (one JSON file per
+ * message in MAIL_OUTBOX_DIR) or "console" (logged only, the default).
+ */
+const createMailer = (driver) => {
+  const from = process.env.MAIL_FROM || 'Beatly <no-reply@beatly.com>';
+
+  switch (driver) {
+    case 'smtp':
+      return createSmtpMailer({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        user: process.env.SMTP_USER,
+        pass: process.env.SMTP_PASS,
+        from
+      });
+    case 'file':
+      return createFileMailer({ dir: process.env.MAIL_OUTBOX_DIR || './mail-outbox', from });
+    case 'console':
+      return createFileMailer({ from });
+    default:
+      throw new Error(`Unknown mail driver: ${driver}`);
+  }
+};
+
+let mailer;
+
+const getMailer = () => {
+  if (!mailer) {
+    mailer = createMailer(process.env.MAIL_DRIVER || 'console');
+  }
+  return mailer;
+};
+
+module.exports = { createMailer, getMailer };
@@ -0,0 +1,25 @@
+const nodemailer = require('nodemailer');
+
+// SMTP driver
+const createSmtpMailer = ({ host, port, secure, user, pass, from }) => {
+  if (!host) {
+    throw new Error('SMTP mailer requires SMTP_HOST');
+  }
+
+  const transport = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    auth: user ? { user, pass } : undefined
+  });
+
+  return {
+    name: 'smtp',
+
+    async send({ to, subject, text, html }) {
+      await transport.sendMail({ from, to, subject, text, html });
+    }
+  };
+};
+
+module.exports = createSmtpMailer;
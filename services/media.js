@@ -0,0 +1,115 @@
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const ffmpeg = require('fluent-ffmpeg');
+const sharp = require('sharp');
+const tmp = require('tmp');
+const { getStorage } = require('./storage');
+
+// Extract the first frame of a video file and resize it into a PNG thumbnail
+const generateThumbnail = (videoPath) => new Promise((resolve, reject) => {
+  const frames = [];
+
+  ffmpeg(videoPath)
+    .outputOptions([
+      '-vframes', '1', // Limit to 1 frame
+      '-f', 'image2pipe', // Output as image pipe
+      '-vcodec', 'png' // Output as PNG
+    ])
+    .on('error', reject)
+    .pipe()
+    .on('data', (frame) => frames.push(frame))
+    .on('end', () => resolve(Buffer.concat(frames)));
+}).then((frame) => sharp(frame)
+  .resize(320, 240, {
+    fit: sharp.fit.cover,
+    position: sharp.strategy.attention
+  })
+  .png()
+  .toBuffer());
+
+// Read container and stream information with ffprobe
+const probeVideo = (videoPath) => new Promise((resolve, reject) => {
+  ffmpeg.ffprobe(videoPath, (error, metadata) => {
+    if (error) {
+      reject(error);
+    } else {
+      resolve(metadata);
+    }
+  });
+});
+
+// Parse an ffprobe frame rate such as "30000/1001"
+const parseFrameRate = (rate) => {
+  const [numerator, denominator = 1] = String(rate || '').split('/').map(Number);
+  if (!numerator || !denominator) return null;
+  return Math.round((numerator / denominator) * 1000) / 1000;
+};
+
+const UNPLAYABLE_VIDEO = 'UNPLAYABLE_VIDEO';
+
+const unplayableError = (reason) => {
+  const error = new Error(`File is not a playable video: ${reason}`);
+  error.code = UNPLAYABLE_VIDEO;
+  return error;
+};
+
+// Whether an error means the file itself is not a playable video, rather than that reading it failed
+const isUnplayable = (error) => error.code === UNPLAYABLE_VIDEO;
+
+// Extract the media details stored on a video; throws an error recognized by
+// isUnplayable if the file is not a playable video
+const extractVideoMetadata = async (videoPath) => {
+  let metadata;
+  try {
+    metadata = await probeVideo(videoPath);
+  } catch (probeError) {
+    throw unplayableError(probeError.message);
+  }
+
+  const videoStream = metadata.streams.find(stream => stream.codec_type === 'video');
+  const audioStream = metadata.streams.find(stream => stream.codec_type === 'audio');
+  const duration = Number(metadata.format.duration);
+
+  if (!videoStream || !videoStream.width || !videoStream.height) {
+    throw unplayableError('no video stream found');
+  }
+
+  // Still images probe as a single video frame without a duration
+  if (!(duration > 0)) {
+    throw unplayableError('missing duration');
+  }
+
+  return {
+    duration,
+    width: videoStream.width,
+    height: videoStream.height,
+    frameRate: parseFrameRate(videoStream.avg_frame_rate) || parseFrameRate(videoStream.r_frame_rate),
+    videoCodec: videoStream.codec_name,
+    audioCodec: audioStream?.codec_name || null,
+    audioChannels: audioStream?.channels || 0,
+    bitrate: Number(metadata.format.bit_rate) || null,
+    container: metadata.format.format_name
+  };
+};
+
+// Copy a stored object to a temporary file, run `fn` with its path, then remove the file
+const withLocalCopy = async (key, fn) => {
+  const tempPath = tmp.tmpNameSync({ postfix: path.extname(key) });
+
+  try {
+    const { stream } = await getStorage().get(key);
+    await pipeline(stream, fs.createWriteStream(tempPath));
+    return await fn(tempPath);
+  } finally {
+    await fs.promises.rm(tempPath, { force: true });
+  }
+};
+
+module.exports = {
+  generateThumbnail,
+  probeVideo,
+  extractVideoMetadata,
+  isUnplayable,
+  withLocalCopy
+};
@@ -0,0 +1,145 @@
+const Notification = require('../models/Notification');
+const Follow = require('../models/Follow');
+const User = require('../models/User');
+const Video = require('../models/Video');
+const logger = require('../config/logger');
+
+const NOTIFICATION_TYPES = Notification.schema.path('type').enumValues;
+// Followers notified per batch when an uploader publishes
+const FAN_OUT_BATCH = 500;
+// Open event streams per user; the oldest is closed when another connects
+const MAX_STREAMS_PER_USER = 5;
+
+// User id -> Set of open Server-Sent Events responses on this server
+const streams = new Map();
+
+const formatNotification = (notification) => ({
+  _id: notification._id,
+  type: notification.type,
+  message: notification.message,
+  actor: notification.actor,
+  video: notification.video,
+  comment: notification.comment,
+  read: Boolean(notification.readAt),
+  readAt: notification.readAt,
+  createdAt: notification.createdAt
+});
+
+const sendEvent = (res, event, data) => {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+// Send an event to every stream the user has open
+const push = (userId, event, data) => {
+  for (const res of streams.get(userId.toString()) || []) {
+    sendEvent(res, event, data);
+  }
+};
+
+// Register an open event stream; returns a function that unregisters it
+const subscribe = (userId, res) => {
+  const key = userId.toString();
+  const userStreams = streams.get(key) || new Set();
+  streams.set(key, userStreams);
+
+  if (userStreams.size >= MAX_STREAMS_PER_USER) {
+    const [oldest] = userStreams;
+    userStreams.delete(oldest);
+    oldest.end();
+  }
+  userStreams.add(res);
+
+  return () => {
+    userStreams.delete(res);
+    if (userStreams.size === 0 && streams.get(key) === userStreams) {
+      streams.delete(key);
+    }
+  };
+};
+
+// Filter for users who have not turned off a notification type
+const wantsType = (type) => ({ [`notificationPreferences.${type}`]: { $ne: false } });
+
+/**
+ * Notify one user, e.g. notify(commentAuthor, { type: 'comment-reply', actor, video, comment, message }).
+ * Skipped when the user caused it or turned the type off. Failures are logged rather than
+ * thrown so they never break the request that caused them.
+ */
+const notify = async (userId, { type, actor = null, video = null, comment = null, message }) => {
+  try {
+    if (actor && actor.toString() === userId.toString()) return null;
+    if (!(await User.exists({ _id: userId, ...wantsType(type) }))) return null;
+
+    const notification = await Notification.create({ user: userId, type, actor, video, comment, message });
+    await notification.populate([
+      { path: 'actor', select: 'name avatarUrl' },
+      { path: 'video', select: 'title thumbnail' }
+    ]);
+
+    push(userId, 'notification', formatNotification(notification));
+    return notification;
+  } catch (error) {
+    logger.error('Failed to send notification', { userId, type, error: error.message });
+    return null;
+  }
+};
+
+// Notify everyone following an uploader, in batches so large followings do not load at once.
+// Like notify, this logs failures instead of throwing.
+const notifyFollowers = async (uploaderId, { type, video, message }) => {
+  try {
+    const [actor, videoInfo] = await Promise.all([
+      User.findById(uploaderId).select('name avatarUrl').lean(),
+      video ? Video.findById(video).select('title thumbnail').lean() : null
+    ]);
+
+    const send = async (followerIds) => {
+      const recipients = await User.find({ _id: { $in: followerIds }, ...wantsType(type) }).distinct('_id');
+      if (recipients.length === 0) return;
+
+      const created = await Notification.insertMany(
+        recipients.map(user => ({ user, type, actor: uploaderId, video, message })),
+        { ordered: false }
+      );
+
+      for (const notification of created) {
+        push(notification.user, 'notification', formatNotification({
+          ...notification.toObject(),
+          actor,
+          video: videoInfo
+        }));
+      }
+    };
+
+    let batch = [];
+    let notified = 0;
+    const cursor = Follow.find({ following: uploaderId }).select('follower').lean().cursor();
+
+    for await (const follow of cursor) {
+      batch.push(follow.follower);
+      if (batch.length === FAN_OUT_BATCH) {
+        await send(batch);
+        notified += batch.length;
+        batch = [];
+      }
+    }
+    if (batch.length > 0) {
+      await send(batch);
+      notified += batch.length;
+    }
+
+    logger.info('Followers notified', { uploaderId, type, followers: notified });
+  } catch (error) {
+    logger.error('Failed to notify followers', { uploaderId, type, error: error.message });
+  }
+};
+
+module.exports = {
+  NOTIFICATION_TYPES,
+  formatNotification,
+  sendEvent,
+  push,
+  subscribe,
+  notify,
+  notifyFollowers
+};
@@ -0,0 +1,39 @@
+// Video bytes are only served through API routes that check who may watch the video,
+// so responses carry those routes instead of storage URLs
+
+const VIDEO_ROUTE = '/api/videos';
+
+const streamUrlFor = (videoId) => `${VIDEO_ROUTE}/${videoId}/stream`;
+
+// Route for a file inside the video's HLS output, e.g. "master.m3u8" or "720p/index.m3u8"
+const hlsUrlFor = (videoId, file) => `${VIDEO_ROUTE}/${videoId}/hls/${file}`;
+
+/**
+ * Replace a video's storage URLs and keys with playback routes. Only the fields
+ * present on `video` are rewritten, so it works with any projection that
+ * includes `hlsPrefix` wherever an HLS URL is wanted.
+ */
+const withPlaybackUrls = (video) => {
+  const { url, storageKey, hlsUrl, hlsPrefix, renditions, ...rest } = video;
+
+  const result = {
+    ...rest,
+    streamUrl: streamUrlFor(video._id),
+    hlsUrl: hlsPrefix ? hlsUrlFor(video._id, 'master.m3u8') : null
+  };
+
+  if (renditions) {
+    result.renditions = renditions.map(({ playlistUrl, ...rendition }) => ({
+      ...rendition,
+      playlistUrl: hlsUrlFor(video._id, `${rendition.name}/index.m3u8`)
+    }));
+  }
+
+  return result;
+};
+
+module.exports = {
+  streamUrlFor,
+  hlsUrlFor,
+  withPlaybackUrls
+};
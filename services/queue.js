@@ -0,0 +1,209 @@
+const os = require('os');
+const Job = require('../models/Job');
+const logger = require('../config/logger');
+
+const POLL_INTERVAL_MS = parseInt(process.env.JOB_POLL_INTERVAL_MS) || 2000;
+// A running job whose lock is not renewed for this long is assumed orphaned by a crash or restart
+const LOCK_TIMEOUT_MS = parseInt(process.env.JOB_LOCK_TIMEOUT_MS) || 5 * 60 * 1000;
+const BASE_BACKOFF_MS = 30 * 1000;
+const MAX_BACKOFF_MS = 60 * 60 * 1000;
+
+const workerId = `${os.hostname()}:${process.pid}`;
+const handlers = new Map();
+let running = false;
+let timer = null;
+
+// Register the function that processes jobs of a given type. `onDead(payload, job)` runs
+// once a job has used all its attempts, e.g. to record the failure on what it was processing.
+const registerHandler = (type, handler, { concurrency = 1, maxAttempts = 5, onDead = null } = {}) => {
+  handlers.set(type, { handler, concurrency, maxAttempts, onDead, active: 0 });
+};
+
+// Add a job to the queue
+const enqueue = (type, payload = {}, { maxAttempts, runAt } = {}) => Job.create({
+  type,
+  payload,
+  maxAttempts: maxAttempts || handlers.get(type)?.maxAttempts || 5,
+  runAt: runAt || new Date()
+});
+
+// Exponential backoff between attempts, capped at an hour
+const backoffDelay = (attempts) => Math.min(BASE_BACKOFF_MS * 2 ** (attempts - 1), MAX_BACKOFF_MS);
+
+// Atomically take the oldest due job of a type
+const claimJob = (type) => Job.findOneAndUpdate(
+  { type, status: 'queued', runAt: { $lte: new Date() } },
+  {
+    $set: { status: 'running', lockedAt: new Date(), lockedBy: workerId, startedAt: new Date() },
+    $inc: { attempts: 1 }
+  },
+  { sort: { runAt: 1 }, new: true }
+);
+
+// Record a failed attempt of a claimed job: retry it after a backoff, or move it to the
+// dead-letter state once it has used all its attempts. `filter` narrows the update so a
+// job someone else has already changed is left alone; returns null when nothing matched.
+const failAttempt = async (job, message, filter = {}) => {
+  const dead = job.attempts >= job.maxAttempts;
+
+  const failed = await Job.findOneAndUpdate({ _id: job._id, ...filter }, {
+    $set: {
+      status: dead ? 'dead' : 'queued',
+      runAt: dead ? job.runAt : new Date(Date.now() + backoffDelay(job.attempts)),
+      lockedAt: null,
+      lockedBy: null,
+      lastError: message
+    },
+    $push: {
+      failures: {
+        $each: [{ attempt: job.attempts, message, at: new Date() }],
+        $slice: -20
+      }
+    }
+  }, { new: true });
+  if (!failed) return null;
+
+  logger.error(dead ? 'Job moved to dead-letter state' : 'Job failed, will retry', {
+    jobId: job._id,
+    type: job.type,
+    attempts: job.attempts,
+    error: message
+  });
+
+  const onDead = handlers.get(job.type)?.onDead;
+  if (dead && onDead) {
+    try {
+      await onDead(failed.payload, failed);
+    } catch (error) {
+      logger.error('Dead job handler failed', { jobId: job._id, type: job.type, error: error.message });
+    }
+  }
+  return failed;
+};
+
+// Put jobs back in the queue when the worker that held them stopped renewing its lock.
+// The interrupted run counts as an attempt, so a job that keeps crashing its worker dead-letters.
+const releaseStaleJobs = async () => {
+  const stale = await Job.find({
+    status: 'running',
+    lockedAt: { $lt: new Date(Date.now() - LOCK_TIMEOUT_MS) }
+  }).select('type attempts maxAttempts runAt lockedAt');
+
+  let released = 0;
+  for (const job of stale) {
+    // Matching the lock that was read skips jobs whose worker renewed it meanwhile
+    const failed = await failAttempt(job, 'Worker stopped renewing the job lock', {
+      status: 'running',
+      lockedAt: job.lockedAt
+    });
+    if (failed) released += 1;
+  }
+
+  if (released > 0) {
+    logger.warn('Released stale jobs', { count: released });
+  }
+};
+
+const runJob = async (job, { handler }) => {
+  // This run still owns the job; the attempt count tells it apart from a later claim
+  // by this same worker after its lock was released as stale
+  const ownRun = { status: 'running', lockedBy: workerId, attempts: job.attempts };
+
+  // Renew the lock while the handler runs so long jobs are not taken as orphaned
+  const heartbeat = setInterval(() => {
+    Job.updateOne(
+      { _id: job._id, ...ownRun },
+      { lockedAt: new Date() }
+    ).catch(error => logger.error('Job heartbeat failed', { jobId: job._id, error: error.message }));
+  }, LOCK_TIMEOUT_MS / 3);
+
+  try {
+    let result;
+    try {
+      result = await handler(job.payload, job);
+    } catch (error) {
+      await failAttempt(job, error.message, ownRun);
+      return;
+    }
+
+    const { modifiedCount } = await Job.updateOne({ _id: job._id, ...ownRun }, {
+      status: 'completed',
+      result: result ?? null,
+      completedAt: new Date(),
+      lockedAt: null,
+      lockedBy: null,
+      lastError: null
+    });
+
+    if (modifiedCount === 0) {
+      logger.warn('Job finished after its lock was released; result discarded', {
+        jobId: job._id,
+        type: job.type,
+        attempts: job.attempts
+      });
+      return;
+    }
+
+    logger.info('Job completed', { jobId: job._id, type: job.type, attempts: job.attempts });
+  } catch (error) {
+    // Recording the outcome failed; the job is released as stale and retried
+    logger.error('Failed to record job outcome', { jobId: job._id, type: job.type, error: error.message });
+  } finally {
+    clearInterval(heartbeat);
+  }
+};
+
+// Fill every handler's free concurrency slots with due jobs
+const poll = async () => {
+  for (const [type, entry] of handlers) {
+    while (running && entry.active < entry.concurrency) {
+      const job = await claimJob(type);
+      if (!job) break;
+
+      entry.active += 1;
+      runJob(job, entry).finally(() => {
+        entry.active -= 1;
+      });
+    }
+  }
+};
+
+const tick = async () => {
+  try {
+    await releaseStaleJobs();
+    await poll();
+  } catch (error) {
+    logger.error('Job queue poll failed', { error: error.message });
+  } finally {
+    if (running) {
+      timer = setTimeout(tick, POLL_INTERVAL_MS);
+    }
+  }
+};
+
+const startWorkers = () => {
+  if (running) return;
+  running = true;
+  logger.info('Job workers started', { workerId, types: [...handlers.keys()] });
+  tick();
+};
+
+const stopWorkers = () => {
+  running = false;
+  clearTimeout(timer);
+};
+
+// Send a dead job back to the queue with a fresh set of attempts
+const retryJob = (jobId) => Job.findOneAndUpdate(
+  { _id: jobId, status: 'dead' },
+  { status: 'queued', attempts: 0, runAt: new Date(), lastError: null },
+  { new: true }
+);
+
+module.exports = {
+  registerHandler,
+  enqueue,
+  retryJob,
+  startWorkers,
+  stopWorkers
+};
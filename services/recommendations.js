@@ -0,0 +1,143 @@
+const Video = require('../models/Video');
+const Like = require('../models/Like');
+const Comment = require('../models/Comment');
+const WatchHistory = require('../models/WatchHistory');
+
+const RELATED_CACHE_TTL_MS = parseInt(process.env.RELATED_CACHE_TTL_MS) || 10 * 60 * 1000;
+const RELATED_CACHE_MAX_ENTRIES = 1000;
+// How many ranked candidates to keep per video. Each user's watched videos are removed
+// from these, so the pool is kept well above the largest page (30) to still fill one
+const CANDIDATE_LIMIT = 200;
+// Likers of the source video sampled for "liked this also liked"
+const LIKER_SAMPLE = 500;
+
+const WEIGHTS = {
+  tags: 3, // scaled by the share of the source video's tags a candidate has
+  uploader: 1.5,
+  coLikes: 4, // scaled by the share of the source video's likers who liked the candidate
+  popularity: 0.1 // per order of magnitude of views, to break ties
+};
+
+// Video id -> { candidates, expiresAt }; Map order doubles as insertion order for eviction
+const cache = new Map();
+
+const videosSharingTags = (video) => Video.find({
+  _id: { $ne: video._id },
+  status: 'approved',
+  tags: { $in: video.tags }
+})
+  .select('_id')
+  .sort({ views: -1 })
+  .limit(CANDIDATE_LIMIT * 2)
+  .lean();
+
+const videosBySameUploader = (video) => Video.find({
+  _id: { $ne: video._id },
+  status: 'approved',
+  uploadedBy: video.uploadedBy
+})
+  .select('_id')
+  .sort({ createdAt: -1 })
+  .limit(20)
+  .lean();
+
+// Other videos liked by people who liked this one, with how many of them did
+const coLikedVideos = async (video) => {
+  const likers = await Like.find({ video: video._id })
+    .select('user')
+    .sort({ createdAt: -1 })
+    .limit(LIKER_SAMPLE)
+    .lean();
+
+  if (likers.length === 0) return { likerCount: 0, counts: [] };
+
+  const counts = await Like.aggregate([
+    { $match: { user: { $in: likers.map(like => like.user) }, video: { $ne: video._id } } },
+    { $group: { _id: '$video', count: { $sum: 1 } } },
+    { $sort: { count: -1 } },
+    { $limit: CANDIDATE_LIMIT * 2 }
+  ]);
+
+  return { likerCount: likers.length, counts };
+};
+
+const rankCandidates = async (video) => {
+  const [byTags, byUploader, coLiked] = await Promise.all([
+    videosSharingTags(video),
+    videosBySameUploader(video),
+    coLikedVideos(video)
+  ]);
+
+  const coLikeCounts = new Map(coLiked.counts.map(({ _id, count }) => [_id.toString(), count]));
+  const ids = new Set([
+    ...byTags.map(({ _id }) => _id.toString()),
+    ...byUploader.map(({ _id }) => _id.toString()),
+    ...coLikeCounts.keys()
+  ]);
+
+  const candidates = await Video.find({ _id: { $in: [...ids] }, status: 'approved' })
+    .select('tags uploadedBy views')
+    .lean();
+
+  const sourceTags = new Set(video.tags);
+
+  return candidates
+    .map((candidate) => {
+      const id = candidate._id.toString();
+      const sharedTags = candidate.tags.filter(tag => sourceTags.has(tag)).length;
+      const sameUploader = candidate.uploadedBy.toString() === video.uploadedBy.toString();
+      const coLikes = coLikeCounts.get(id) || 0;
+
+      const reasons = [];
+      if (sharedTags > 0) reasons.push('tags');
+      if (sameUploader) reasons.push('uploader');
+      if (coLikes > 0) reasons.push('liked-by-similar-users');
+
+      const score =
+        WEIGHTS.tags * (sharedTags / Math.max(sourceTags.size, 1)) +
+        (sameUploader ? WEIGHTS.uploader : 0) +
+        WEIGHTS.coLikes * (coLiked.likerCount ? coLikes / coLiked.likerCount : 0) +
+        WEIGHTS.popularity * Math.log10((candidate.views || 0) + 1);
+
+      return { id, score: Math.round(score * 1000) / 1000, reasons };
+    })
+    .sort((a, b) => b.score - a.score)
+    .slice(0, CANDIDATE_LIMIT);
+};
+
+/**
+ * Ranked related videos for a video, shared by all users and cached for
+ * RELATED_CACHE_TTL_MS. Returns [{ id, score, reasons }].
+ */
+const getRelatedCandidates = async (video) => {
+  const key = video._id.toString();
+  const cached = cache.get(key);
+  if (cached && cached.expiresAt > Date.now()) {
+    return { candidates: cached.candidates, cached: true };
+  }
+
+  const candidates = await rankCandidates(video);
+
+  cache.delete(key);
+  cache.set(key, { candidates, expiresAt: Date.now() + RELATED_CACHE_TTL_MS });
+  if (cache.size > RELATED_CACHE_MAX_ENTRIES) {
+    cache.delete(cache.keys().next().value);
+  }
+
+  return { candidates, cached: false };
+};
+
+// Videos the user has already watched, liked or commented on
+const watchedVideoIds = async (userId, videoIds) => {
+  const [history, likes, comments] = await Promise.all([
+    WatchHistory.find({ user: userId, video: { $in: videoIds } }).select('video').lean(),
+    Like.find({ user: userId, video: { $in: videoIds } }).select('video').lean(),
+    Comment.find({ user: userId, video: { $in: videoIds } }).select('video').lean()
+  ]);
+  return new Set([...history, ...likes, ...comments].map(({ video }) => video.toString()));
+};
+
+module.exports = {
+  getRelatedCandidates,
+  watchedVideoIds
+};
@@ -0,0 +1,139 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const logger = require('../config/logger');
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+// Audience of the short-lived tokens that open a notification stream
+const STREAM_TOKEN_AUDIENCE = 'notification-stream';
+
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+const newSecret = () => crypto.randomBytes(32).toString('base64url');
+
+const signAccessToken = (user, sessionId) => jwt.sign(
+  {
+    id: user._id,
+    sid: sessionId,
+    name: user.name,
+    email: user.email,
+    role: user.role
+  },
+  process.env.JWT_SECRET,
+  { expiresIn: ACCESS_TOKEN_TTL }
+);
+
+/**
+ * A short-lived token that can only open the notification stream, for EventSource
+ * clients that must put it in the URL. `until` (seconds since the epoch) is when the
+ * access token it was issued for expires; the stream closes then.
+ */
+const signStreamToken = (userId, sessionId, until) => jwt.sign(
+  { id: userId, sid: sessionId, until },
+  process.env.JWT_SECRET,
+  { expiresIn: '60s', audience: STREAM_TOKEN_AUDIENCE }
+);
+
+// Refresh tokens are "<session id>.<secret>" so the session can be found without scanning hashes
+const formatRefreshToken = (sessionId, secret) => `${sessionId}.${secret}`;
+
+const parseRefreshToken = (refreshToken) => {
+  const [sessionId, secret] = String(refreshToken || '').split('.');
+  if (!sessionId || !secret || !/^[a-f0-9]{24}$/.test(sessionId)) return null;
+  return { sessionId, secret };
+};
+
+// Start a session for a user who just signed in
+const createSession = async (user, req) => {
+  const secret = newSecret();
+  const session = await Session.create({
+    user: user._id,
+    tokenHash: hashSecret(secret),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+    userAgent: req.get('User-Agent') || null,
+    ip: req.ip
+  });
+
+  return {
+    token: signAccessToken(user, session._id),
+    refreshToken: formatRefreshToken(session._id, secret)
+  };
+};
+
+const revokeSession = (sessionId, reason) => Session.updateOne(
+  { _id: sessionId, revokedAt: null },
+  { revokedAt: new Date(), revokedReason: reason }
+);
+
+const revokeAllSessions = (userId, reason, { except } = {}) => Session.updateMany(
+  { user: userId, revokedAt: null, ...(except && { _id: { $ne: except } }) },
+  { revokedAt: new Date(), revokedReason: reason }
+);
+
+/**
+ * Exchange a refresh token for a new access/refresh pair.
+ * Presenting a refresh token that was already rotated away means it leaked,
+ * so the whole session is revoked. Returns null when the token is not accepted.
+ */
+const rotateSession = async (refreshToken) => {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) return null;
+
+  const presentedHash = hashSecret(parsed.secret);
+  const secret = newSecret();
+  const session = await Session.findOneAndUpdate(
+    {
+      _id: parsed.sessionId,
+      tokenHash: presentedHash,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    },
+    {
+      $set: { tokenHash: hashSecret(secret), lastUsedAt: new Date() },
+      $push: { previousTokenHashes: { $each: [presentedHash], $slice: -20 } }
+    },
+    { new: true }
+  );
+
+  if (!session) {
+    const reused = await Session.findOneAndUpdate(
+      { _id: parsed.sessionId, previousTokenHashes: presentedHash, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: 'Refresh token reuse detected' }
+    );
+    if (reused) {
+      logger.warn('Refresh token reuse detected, session revoked', { sessionId: parsed.sessionId });
+    }
+    return null;
+  }
+
+  const user = await User.findById(session.user).select('-password');
+  if (!user) {
+    await revokeSession(session._id, 'User no longer exists');
+    return null;
+  }
+
+  return {
+    token: signAccessToken(user, session._id),
+    refreshToken: formatRefreshToken(session._id, secret)
+  };
+};
+
+// Whether a session referenced by an access token can still be used
+const isSessionActive = (sessionId, userId) => Session.exists({
+  _id: sessionId,
+  user: userId,
+  revokedAt: null,
+  expiresAt: { $gt: new Date() }
+});
+
+module.exports = {
+  STREAM_TOKEN_AUDIENCE,
+  signStreamToken,
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeAllSessions,
+  isSessionActive
+};
@@ -0,0 +1,103 @@
+const { BlobServiceClient } = require('@azure/storage-blob');
+const logger = require('../../config/logger');
+
+// Azure Blob Storage driver
+const createAzureStorage = ({ connectionString, container }) => {
+  if (!connectionString || !container) {
+    throw new Error('Azure storage requires AZURE_STORAGE_CONNECTION_STRING and AZURE_STORAGE_CONTAINER');
+  }
+
+  const blobServiceClient = BlobServiceClient.fromConnectionString(connectionString);
+  const containerClient = blobServiceClient.getContainerClient(container);
+
+  const url = (key) => containerClient.getBlockBlobClient(key).url;
+
+  return {
+    name: 'azure',
+
+    url,
+
+    // Map a stored blob URL back to its blob name
+    keyFromUrl(blobUrl) {
+      if (!blobUrl) return null;
+      const prefix = `${containerClient.url}/`;
+      const relative = blobUrl.startsWith(prefix)
+        ? blobUrl.slice(prefix.length)
+        : blobUrl.split('/').pop();
+      return relative.split('/').map(decodeURIComponent).join('/');
+    },
+
+    async put(key, body, { contentType } = {}) {
+      const blockBlobClient = containerClient.getBlockBlobClient(key);
+      const blobHTTPHeaders = { blobContentType: contentType };
+
+      logger.info('Starting Azure upload', {
+        key,
+        mimeType: contentType,
+        bufferSize: Buffer.isBuffer(body) ? body.length : undefined
+      });
+
+      if (Buffer.isBuffer(body)) {
+        await blockBlobClient.uploadData(body, {
+          blobHTTPHeaders,
+          maxConcurrency: 5,
+          maxSingleShotSize: 4 * 1024 * 1024 // 4MB chunks
+        });
+      } else {
+        await blockBlobClient.uploadStream(body, 4 * 1024 * 1024, 5, { blobHTTPHeaders });
+      }
+
+      logger.info('Azure upload completed', { blobUrl: blockBlobClient.url });
+
+      return { key, url: blockBlobClient.url };
+    },
+
+    async stat(key) {
+      const properties = await containerClient.getBlobClient(key).getProperties();
+      return {
+        size: properties.contentLength,
+        contentType: properties.contentType,
+        lastModified: properties.lastModified,
+        etag: properties.etag
+      };
+    },
+
+    // Download a blob, optionally limited to an inclusive byte range
+    async get(key, { start, end } = {}) {
+      const blobClient = containerClient.getBlobClient(key);
+      const offset = start || 0;
+      const count = end !== undefined ? end - offset + 1 : undefined;
+      const response = await blobClient.download(offset, count);
+
+      return {
+        stream: response.readableStreamBody,
+        size: response.contentLength,
+        contentType: response.contentType,
+        lastModified: response.lastModified,
+        etag: response.etag
+      };
+    },
+
+    async exists(key) {
+      return containerClient.getBlobClient(key).exists();
+    },
+
+    async delete(key) {
+      await containerClient.getBlobClient(key).deleteIfExists({ deleteSnapshots: 'include' });
+    },
+
+    async list(prefix = '') {
+      const items = [];
+      for await (const blob of containerClient.listBlobsFlat({ prefix })) {
+        items.push({
+          key: blob.name,
+          size: blob.properties.contentLength,
+          lastModified: blob.properties.lastModified
+        });
+      }
+      return items;
+    }
+  };
+};
+
+module.exports = createAzureStorage;
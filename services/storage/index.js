@@ -0,0 +1,50 @@
+const { v4: uuidv4 } = require('uuid');
+const createAzureStorage = require('./azure');
+const createLocalStorage = require('./local');
+
+/**
+ * Storage drivers share one interface:
+ *   put(key, bufferOrStream, { contentType }) -> { key, url }
+ *   get(key, { start, end })                  -> { stream, size, contentType, lastModified, etag }
+ *   stat(key), exists(key), delete(key), list(prefix)
+ *   url(key), keyFromUrl(url)
+ *
+ * The driver is chosen with STORAGE_DRIVER ("azure" or "local"). When it is
+ * unset, Azure is used if a connection string is configured, local disk otherwise.
+ */
+const createStorage = (driver) => {
+  switch (driver) {
+    case 'azure':
+      return createAzureStorage({
+        connectionString: process.env.AZURE_STORAGE_CONNECTION_STRING,
+        container: process.env.AZURE_STORAGE_CONTAINER
+      });
+    case 'local':
+      return createLocalStorage({
+        root: process.env.UPLOAD_DIR || './uploads',
+        baseUrl: process.env.LOCAL_STORAGE_BASE_URL || '/uploads'
+      });
+    default:
+      throw new Error(`Unknown storage driver: ${driver}`);
+  }
+};
+
+let storage;
+
+// Lazily create the configured driver so importing this module needs no credentials
+const getStorage = () => {
+  if (!storage) {
+    const driver = process.env.STORAGE_DRIVER
+      || (process.env.AZURE_STORAGE_CONNECTION_STRING ? 'azure' : 'local');
+    storage = createStorage(driver);
+  }
+  return storage;
+};
+
+// Build a unique key for an uploaded file inside a folder
+const buildKey = (folder, originalname) => `${folder}/${uuidv4()}-${originalname}`;
+
+// Whether a driver error means the object does not exist
+const isNotFound = (error) => error.code === 'ENOENT' || error.statusCode === 404;
+
+module.exports = { createStorage, getStorage, buildKey, isNotFound };
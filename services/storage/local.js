@@ -0,0 +1,125 @@
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+
+// Content types for the files this API stores, keyed by extension
+const CONTENT_TYPES = {
+  '.mp4': 'video/mp4',
+  '.mpeg': 'video/mpeg',
+  '.mpg': 'video/mpeg',
+  '.mov': 'video/quicktime',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.webp': 'image/webp',
+  '.m3u8': 'application/vnd.apple.mpegurl',
+  '.ts': 'video/mp2t'
+};
+
+// Local filesystem driver, for development, tests and on-prem installs
+const createLocalStorage = ({ root, baseUrl }) => {
+  const rootDir = path.resolve(root);
+  const publicUrl = baseUrl.replace(/\/+$/, '');
+
+  // Resolve a key to a path, refusing anything that escapes the root directory
+  const resolveKey = (key) => {
+    const filePath = path.resolve(rootDir, key);
+    if (!filePath.startsWith(rootDir + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  const stat = async (key) => {
+    const stats = await fs.promises.stat(resolveKey(key));
+    return {
+      size: stats.size,
+      contentType: CONTENT_TYPES[path.extname(key).toLowerCase()] || 'application/octet-stream',
+      lastModified: stats.mtime,
+      etag: `"${stats.size.toString(16)}-${stats.mtime.getTime().toString(16)}"`
+    };
+  };
+
+  const url = (key) => `${publicUrl}/${key.split('/').map(encodeURIComponent).join('/')}`;
+
+  const walk = async (dir) => {
+    const entries = await fs.promises.readdir(dir, { withFileTypes: true });
+    const files = await Promise.all(entries.map((entry) => {
+      const entryPath = path.join(dir, entry.name);
+      return entry.isDirectory() ? walk(entryPath) : [entryPath];
+    }));
+    return files.flat();
+  };
+
+  return {
+    name: 'local',
+
+    root: rootDir,
+
+    baseUrl: publicUrl,
+
+    url,
+
+    keyFromUrl(fileUrl) {
+      if (!fileUrl || !fileUrl.startsWith(`${publicUrl}/`)) return null;
+      return fileUrl.slice(publicUrl.length + 1).split('/').map(decodeURIComponent).join('/');
+    },
+
+    async put(key, body) {
+      const filePath = resolveKey(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+      if (Buffer.isBuffer(body)) {
+        await fs.promises.writeFile(filePath, body);
+      } else {
+        await pipeline(body, fs.createWriteStream(filePath));
+      }
+
+      return { key, url: url(key) };
+    },
+
+    stat,
+
+    // Read a file, optionally limited to an inclusive byte range
+    async get(key, { start, end } = {}) {
+      const info = await stat(key);
+      const stream = fs.createReadStream(resolveKey(key), { start, end });
+      const size = (end !== undefined ? end + 1 : info.size) - (start || 0);
+      return { ...info, size, stream };
+    },
+
+    async exists(key) {
+      try {
+        await fs.promises.access(resolveKey(key));
+        return true;
+      } catch (error) {
+        return false;
+      }
+    },
+
+    async delete(key) {
+      await fs.promises.rm(resolveKey(key), { force: true });
+    },
+
+    async list(prefix = '') {
+      let files;
+      try {
+        files = await walk(rootDir);
+      } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+      }
+
+      const keys = files
+        .map((file) => path.relative(rootDir, file).split(path.sep).join('/'))
+        .filter((key) => key.startsWith(prefix));
+
+      return Promise.all(keys.map(async (key) => {
+        const { size, lastModified } = await stat(key);
+        return { key, size, lastModified };
+      }));
+    }
+  };
+};
+
+module.exports = createLocalStorage;
@@ -0,0 +1,90 @@
+const TagAlias = require('../models/TagAlias');
+const Video = require('../models/Video');
+
+// Aliases change rarely, so keep them in memory; other instances pick up changes within a minute
+const ALIAS_CACHE_TTL_MS = 60 * 1000;
+
+let aliasCache = null;
+let aliasCacheLoadedAt = 0;
+
+const normalizeTag = (tag) => String(tag || '').trim().toLowerCase();
+
+const loadAliases = async () => {
+  if (!aliasCache || Date.now() - aliasCacheLoadedAt > ALIAS_CACHE_TTL_MS) {
+    const aliases = await TagAlias.find().select('alias tag').lean();
+    aliasCache = new Map(aliases.map(({ alias, tag }) => [alias, tag]));
+    aliasCacheLoadedAt = Date.now();
+  }
+  return aliasCache;
+};
+
+const clearAliasCache = () => {
+  aliasCache = null;
+};
+
+// The canonical form of a tag
+const resolveTag = async (tag) => {
+  const normalized = normalizeTag(tag);
+  return (await loadAliases()).get(normalized) || normalized;
+};
+
+// Canonical forms of a list of tags, without duplicates
+const resolveTags = async (tags) => {
+  const aliases = await loadAliases();
+  return [...new Set(tags.map(normalizeTag).map(tag => aliases.get(tag) || tag))];
+};
+
+/**
+ * Replace `from` with `into` on every video, keeping each tag's position.
+ * Videos that already carry both just lose `from`. Returns the number of videos changed.
+ */
+const mergeTag = async (from, into) => {
+  const renamed = await Video.updateMany(
+    { tags: { $eq: from, $ne: into } },
+    { $set: { 'tags.$[old]': into } },
+    { arrayFilters: [{ old: from }] }
+  );
+
+  const deduplicated = await Video.updateMany(
+    { tags: { $all: [from, into] } },
+    { $pull: { tags: from } }
+  );
+
+  return renamed.modifiedCount + deduplicated.modifiedCount;
+};
+
+/**
+ * Move every video and alias from one tag to another canonical tag.
+ * With `alias`, the old name keeps working as an alias of the new one.
+ * Returns the number of videos changed.
+ */
+const renameTag = async (from, into, { alias = false, userId = null } = {}) => {
+  // Aliases of the old tag now lead to the new one, which cannot be an alias itself
+  await TagAlias.updateMany({ tag: from }, { tag: into });
+  await TagAlias.deleteOne({ alias: into });
+
+  if (alias) {
+    await TagAlias.findOneAndUpdate(
+      { alias: from },
+      { tag: into, createdBy: userId },
+      { upsert: true, runValidators: true }
+    );
+  }
+  clearAliasCache();
+
+  return mergeTag(from, into);
+};
+
+const removeAlias = async (alias) => {
+  const { deletedCount } = await TagAlias.deleteOne({ alias });
+  clearAliasCache();
+  return deletedCount > 0;
+};
+
+module.exports = {
+  normalizeTag,
+  resolveTag,
+  resolveTags,
+  renameTag,
+  removeAlias
+};
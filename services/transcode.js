@@ -0,0 +1,180 @@
+const fs = require('fs');
+const path = require('path');
+const ffmpeg = require('fluent-ffmpeg');
+const tmp = require('tmp');
+const Video = require('../models/Video');
+const logger = require('../config/logger');
+const { getStorage } = require('./storage');
+const { probeVideo, withLocalCopy } = require('./media');
+
+// HLS ladder; renditions taller than the source are skipped
+const RENDITIONS = [
+  { name: '360p', height: 360, videoBitrate: 800, audioBitrate: 96 },
+  { name: '720p', height: 720, videoBitrate: 2800, audioBitrate: 128 },
+  { name: '1080p', height: 1080, videoBitrate: 5000, audioBitrate: 192 }
+];
+
+const SEGMENT_SECONDS = 6;
+
+// Pick the renditions to produce for a source of the given size
+const selectRenditions = (sourceWidth, sourceHeight) => {
+  const ladder = RENDITIONS.filter(rendition => rendition.height <= sourceHeight);
+  const selected = ladder.length > 0 ? ladder : [RENDITIONS[0]];
+
+  return selected.map(rendition => ({
+    ...rendition,
+    // Keep the source aspect ratio with an even width, as libx264 requires
+    width: Math.round((sourceWidth * rendition.height) / sourceHeight / 2) * 2
+  }));
+};
+
+// Encode one rendition into an HLS playlist with its segments
+const encodeRendition = (inputPath, outputDir, rendition) => new Promise((resolve, reject) => {
+  const { height, videoBitrate, audioBitrate } = rendition;
+
+  ffmpeg(inputPath)
+    .outputOptions([
+      '-map', '0:v:0',
+      '-map', '0:a:0?',
+      '-vf', `scale=-2:${height}`,
+      '-c:v', 'libx264',
+      '-preset', 'veryfast',
+      '-profile:v', 'main',
+      '-b:v', `${videoBitrate}k`,
+      '-maxrate', `${Math.round(videoBitrate * 1.07)}k`,
+      '-bufsize', `${Math.round(videoBitrate * 1.5)}k`,
+      '-g', '48',
+      '-keyint_min', '48',
+      '-sc_threshold', '0',
+      '-c:a', 'aac',
+      '-b:a', `${audioBitrate}k`,
+      '-ac', '2',
+      '-hls_time', String(SEGMENT_SECONDS),
+      '-hls_playlist_type', 'vod',
+      '-hls_segment_filename', path.join(outputDir, 'segment_%03d.ts')
+    ])
+    .output(path.join(outputDir, 'index.m3u8'))
+    .on('end', resolve)
+    .on('error', reject)
+    .run();
+});
+
+// Build the master playlist that points at each rendition playlist
+const buildMasterPlaylist = (renditions) => [
+  '#EXTM3U',
+  '#EXT-X-VERSION:3',
+  ...renditions.flatMap(rendition => [
+    `#EXT-X-STREAM-INF:BANDWIDTH=${rendition.bandwidth},RESOLUTION=${rendition.width}x${rendition.height}`,
+    `${rendition.name}/index.m3u8`
+  ]),
+  ''
+].join('\n');
+
+// Upload every file under `dir` to storage below `prefix`
+const uploadDirectory = async (dir, prefix) => {
+  const entries = await fs.promises.readdir(dir, { withFileTypes: true });
+
+  for (const entry of entries) {
+    const entryPath = path.join(dir, entry.name);
+    const key = `${prefix}/${entry.name}`;
+
+    if (entry.isDirectory()) {
+      await uploadDirectory(entryPath, key);
+    } else {
+      const contentType = entry.name.endsWith('.m3u8')
+        ? 'application/vnd.apple.mpegurl'
+        : 'video/mp2t';
+      await getStorage().put(key, fs.createReadStream(entryPath), { contentType });
+    }
+  }
+};
+
+// Storage folder for a video's HLS output, next to the original file
+const hlsPrefixFor = (storageKey) => {
+  const { dir, name } = path.posix.parse(storageKey);
+  return `${dir}/${name}/hls`;
+};
+
+// Transcode a stored video into an HLS ladder and record the result on the video
+const transcodeVideo = async (videoId) => {
+  const video = await Video.findById(videoId);
+  if (!video) {
+    throw new Error(`Video not found: ${videoId}`);
+  }
+
+  const storage = getStorage();
+  const storageKey = video.storageKey || storage.keyFromUrl(video.url);
+  if (!storageKey) {
+    throw new Error(`Video ${videoId} has no stored source file`);
+  }
+
+  await Video.updateOne(
+    { _id: video._id },
+    { processingStatus: 'processing', processingError: null }
+  );
+
+  logger.info('Transcoding started', { videoId: video._id });
+
+  try {
+    const prefix = hlsPrefixFor(storageKey);
+
+    const renditions = await withLocalCopy(storageKey, async (inputPath) => {
+      const metadata = await probeVideo(inputPath);
+      const videoStream = metadata.streams.find(stream => stream.codec_type === 'video');
+      if (!videoStream) {
+        throw new Error('Source file has no video stream');
+      }
+
+      const outputDir = tmp.dirSync({ unsafeCleanup: true });
+      try {
+        const selected = selectRenditions(videoStream.width, videoStream.height);
+
+        for (const rendition of selected) {
+          const renditionDir = path.join(outputDir.name, rendition.name);
+          await fs.promises.mkdir(renditionDir);
+          await encodeRendition(inputPath, renditionDir, rendition);
+        }
+
+        const described = selected.map(rendition => ({
+          name: rendition.name,
+          width: rendition.width,
+          height: rendition.height,
+          bandwidth: (rendition.videoBitrate + rendition.audioBitrate) * 1000,
+          playlistUrl: storage.url(`${prefix}/${rendition.name}/index.m3u8`)
+        }));
+
+        await fs.promises.writeFile(
+          path.join(outputDir.name, 'master.m3u8'),
+          buildMasterPlaylist(described)
+        );
+
+        await uploadDirectory(outputDir.name, prefix);
+        return described;
+      } finally {
+        outputDir.removeCallback();
+      }
+    });
+
+    await Video.updateOne(
+      { _id: video._id },
+      {
+        processingStatus: 'ready',
+        hlsUrl: storage.url(`${prefix}/master.m3u8`),
+        hlsPrefix: prefix,
+        renditions
+      }
+    );
+
+    logger.info('Transcoding completed', {
+      videoId: video._id,
+      renditions: renditions.map(rendition => rendition.name)
+    });
+  } catch (error) {
+    // The video stays "processing" while the job retries; the queue marks it failed
+    // once the last attempt fails (see markTranscodeFailed in services/jobs.js)
+    await Video.updateOne({ _id: video._id }, { processingError: error.message });
+    throw error;
+  }
+};
+
+module.exports = { RENDITIONS, transcodeVideo };
@@ -0,0 +1,142 @@
+const VideoActivity = require('../models/VideoActivity');
+const TrendingEntry = require('../models/TrendingEntry');
+const logger = require('../config/logger');
+
+const HOUR_MS = 60 * 60 * 1000;
+const UPDATE_INTERVAL_MS = parseInt(process.env.TRENDING_INTERVAL_MS) || 10 * 60 * 1000;
+// Most videos kept per window
+const MAX_ENTRIES = 1000;
+
+// Engagement older than the half-life counts half as much
+const WINDOWS = {
+  '24h': { hours: 24, halfLifeHours: 6 },
+  '7d': { hours: 7 * 24, halfLifeHours: 36 },
+  '30d': { hours: 30 * 24, halfLifeHours: 7 * 24 }
+};
+
+// A like is worth more than a view, a comment more than a like
+const WEIGHTS = { views: 1, likes: 3, comments: 5 };
+
+let running = false;
+let timer = null;
+
+const startOfHour = (date = new Date()) => new Date(Math.floor(date.getTime() / HOUR_MS) * HOUR_MS);
+
+/**
+ * Count engagement towards trending, e.g. recordActivity(videoId, { views: 1 }).
+ * Failures are logged rather than thrown so they never break the request that caused them.
+ */
+const recordActivity = async (videoId, counts) => {
+  try {
+    await VideoActivity.updateOne(
+      { video: videoId, hour: startOfHour() },
+      { $inc: counts },
+      { upsert: true }
+    );
+  } catch (error) {
+    logger.error('Failed to record video activity', { videoId, error: error.message });
+  }
+};
+
+// Score every video with activity in the window and replace the stored entries
+const updateWindow = async (window, now = new Date()) => {
+  const { hours, halfLifeHours } = WINDOWS[window];
+
+  const scores = await VideoActivity.aggregate([
+    { $match: { hour: { $gte: new Date(now.getTime() - hours * HOUR_MS) } } },
+    {
+      $group: {
+        _id: '$video',
+        score: {
+          $sum: {
+            $multiply: [
+              {
+                $add: [
+                  { $multiply: ['$views', WEIGHTS.views] },
+                  { $multiply: ['$likes', WEIGHTS.likes] },
+                  { $multiply: ['$comments', WEIGHTS.comments] }
+                ]
+              },
+              // 0.5 ^ (age in hours / half-life)
+              {
+                $pow: [
+                  0.5,
+                  { $divide: [{ $subtract: [now, '$hour'] }, halfLifeHours * HOUR_MS] }
+                ]
+              }
+            ]
+          }
+        }
+      }
+    },
+    { $match: { score: { $gt: 0 } } },
+    {
+      $lookup: {
+        from: 'videos',
+        localField: '_id',
+        foreignField: '_id',
+        as: 'video'
+      }
+    },
+    { $unwind: '$video' },
+    { $match: { 'video.status': 'approved' } },
+    { $sort: { score: -1 } },
+    { $limit: MAX_ENTRIES },
+    { $project: { score: 1, tags: '$video.tags' } }
+  ]);
+
+  if (scores.length > 0) {
+    await TrendingEntry.bulkWrite(scores.map(({ _id, score, tags }) => ({
+      updateOne: {
+        filter: { window, video: _id },
+        update: { $set: { score, tags, computedAt: now } },
+        upsert: true
+      }
+    })), { ordered: false });
+  }
+
+  // Videos that dropped out of the window
+  await TrendingEntry.deleteMany({ window, computedAt: { $ne: now } });
+
+  return scores.length;
+};
+
+const updateTrending = async () => {
+  const now = new Date();
+  for (const window of Object.keys(WINDOWS)) {
+    const count = await updateWindow(window, now);
+    logger.info('Trending scores updated', { window, videos: count });
+  }
+};
+
+const tick = async () => {
+  try {
+    await updateTrending();
+  } catch (error) {
+    logger.error('Trending update failed', { error: error.message });
+  } finally {
+    if (running) {
+      timer = setTimeout(tick, UPDATE_INTERVAL_MS);
+    }
+  }
+};
+
+// Recalculate trending scores now and every TRENDING_INTERVAL_MS
+const startTrendingUpdates = () => {
+  if (running) return;
+  running = true;
+  tick();
+};
+
+const stopTrendingUpdates = () => {
+  running = false;
+  clearTimeout(timer);
+};
+
+module.exports = {
+  TRENDING_WINDOWS: Object.keys(WINDOWS),
+  recordActivity,
+  updateTrending,
+  startTrendingUpdates,
+  stopTrendingUpdates
+};
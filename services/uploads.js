@@ -0,0 +1,83 @@
+const UploadSession = require('../models/UploadSession');
+const logger = require('../config/logger');
+const { getStorage } = require('./storage');
+
+const SWEEP_INTERVAL_MS = parseInt(process.env.UPLOAD_SWEEP_INTERVAL_MS) || 60 * 60 * 1000;
+// Finalizing that has not progressed for this long was interrupted, e.g. by a restart
+const STALE_COMPLETING_MS = 60 * 60 * 1000;
+
+let running = false;
+let timer = null;
+
+const deleteChunks = async (storage, chunks) => {
+  await Promise.all(chunks.map(chunk => storage.delete(chunk.key)));
+};
+
+// Abort expired sessions that were never finalized and free their chunks
+const sweepExpiredUploads = async () => {
+  const storage = getStorage();
+  const now = Date.now();
+  const expired = await UploadSession.find({
+    expiresAt: { $lt: new Date(now) },
+    $or: [
+      { status: 'active' },
+      { status: 'completing', updatedAt: { $lt: new Date(now - STALE_COMPLETING_MS) } }
+    ]
+  }).select('status updatedAt');
+
+  let swept = 0;
+  for (const session of expired) {
+    // Matching on what was just read skips sessions a client started finalizing meanwhile
+    const claimed = await UploadSession.findOneAndUpdate(
+      { _id: session._id, status: session.status, updatedAt: session.updatedAt },
+      { status: 'aborted', chunks: [] }
+    );
+    if (!claimed) continue;
+
+    try {
+      await deleteChunks(storage, claimed.chunks);
+      swept += 1;
+    } catch (error) {
+      logger.error('Failed to delete expired upload chunks', {
+        uploadId: session._id,
+        error: error.message
+      });
+    }
+  }
+
+  if (swept > 0) {
+    logger.info('Expired uploads swept', { sessions: swept });
+  }
+  return swept;
+};
+
+const tick = async () => {
+  try {
+    await sweepExpiredUploads();
+  } catch (error) {
+    logger.error('Upload sweep failed', { error: error.message });
+  } finally {
+    if (running) {
+      timer = setTimeout(tick, SWEEP_INTERVAL_MS);
+    }
+  }
+};
+
+// Sweep expired uploads now and every UPLOAD_SWEEP_INTERVAL_MS
+const startUploadSweeper = () => {
+  if (running) return;
+  running = true;
+  tick();
+};
+
+const stopUploadSweeper = () => {
+  running = false;
+  clearTimeout(timer);
+};
+
+module.exports = {
+  deleteChunks,
+  sweepExpiredUploads,
+  startUploadSweeper,
+  stopUploadSweeper
+};
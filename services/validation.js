@@ -0,0 +1,77 @@
+// Video container types accepted for upload
+const VIDEO_MIME_TYPES = ['video/mp4', 'video/mpeg', 'video/quicktime'];
+
+// Validate and sanitize tags
+const validateAndSanitizeTags = (tagsInput) => {
+  if (!tagsInput) {
+    throw new Error('Tags are required');
+  }
+
+  // Handle both string and array inputs
+  const tagsArray = Array.isArray(tagsInput)
+    ? tagsInput
+    : tagsInput.split(',');
+
+  // Sanitize and validate tags
+  const sanitizedTags = tagsArray
+    .map(tag => tag.trim().toLowerCase())
+    .filter(tag => tag.length > 0);
+
+  if (sanitizedTags.length === 0) {
+    throw new Error('At least one valid tag is required');
+  }
+
+  if (sanitizedTags.length > 10) {
+    throw new Error('Maximum of 10 tags allowed');
+  }
+
+  // Remove duplicates
+  return [...new Set(sanitizedTags)];
+};
+
+// Validate title, description and tags; returns the sanitized tags
+const validateVideoDetails = ({ title, description, tags }) => {
+  if (!title) {
+    throw new Error('Title is required');
+  }
+
+  if (title.length < 3 || title.length > 100) {
+    throw new Error('Title must be between 3 and 100 characters');
+  }
+
+  if (!description) {
+    throw new Error('Description is required');
+  }
+
+  if (description.length < 10 || description.length > 500) {
+    throw new Error('Description must be between 10 and 500 characters');
+  }
+
+  return validateAndSanitizeTags(tags);
+};
+
+// Trim an optional free-text field such as a review note; missing values become ''
+const validateOptionalText = (value, name) => {
+  if (value === undefined || value === null) return '';
+  if (typeof value !== 'string') {
+    throw new Error(`${name} must be a string`);
+  }
+  return value.trim();
+};
+
+const PASSWORD_MIN_LENGTH = 8;
+
+// Validate a new password
+const validatePassword = (password) => {
+  if (typeof password !== 'string' || password.length < PASSWORD_MIN_LENGTH) {
+    throw new Error(`Password must be at least ${PASSWORD_MIN_LENGTH} characters long`);
+  }
+};
+
+module.exports = {
+  VIDEO_MIME_TYPES,
+  validateAndSanitizeTags,
+  validateVideoDetails,
+  validateOptionalText,
+  validatePassword
+};